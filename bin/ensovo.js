@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { createContext, webhookSubscriptions } = require('../bootstrap');
+const logger = require('../services/logger');
+
+const USAGE = `Usage: ensovo <command> [options]
+
+Commands:
+  sync <ean> --from <store> [--pair <name>]   Push the level of <ean> from a store to the others
+  cache clear [--store <store>] [--ean <ean>] Clear inventory caches and rebuild the catalog index
+  status                                      Sync counters, queue and location pairs
+  logs [--ean <ean>] [--store <store>] [--type <type>] [--limit <n>]
+                                              Latest sync history entries
+  webhooks list [--store <store>]             Webhooks registered on each store
+  webhooks register [--url <base url>] [--store <store>]
+                                              Register the webhooks of the sync mode and products
+  webhooks delete <id> --store <store>        Delete one webhook
+  inventory get <ean> [--pair <name>]         Level and cached value of <ean> in every store
+
+Options:
+  --json          Print JSON instead of tables
+  -v, --verbose   Show the service logs
+  -h, --help      Show this help
+
+Reads the same environment (.env) as the server: REDIS_URL, SHOPIFY_* and LOCATION_PAIRS.`;
+
+const OPTIONS = {
+  from: { type: 'string' },
+  pair: { type: 'string' },
+  store: { type: 'string' },
+  ean: { type: 'string' },
+  type: { type: 'string' },
+  limit: { type: 'string' },
+  url: { type: 'string' },
+  json: { type: 'boolean' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Wrong arguments: reported with the usage, unlike failures of the command itself
+class UsageError extends Error {}
+
+function requireStore(context, storeName, option) {
+  if (!storeName) {
+    throw new UsageError(`--${option} is required`);
+  }
+  if (!context.stores.has(storeName)) {
+    throw new UsageError(`Unknown store "${storeName}" (${context.stores.names().join(', ')})`);
+  }
+  return storeName;
+}
+
+function selectedStores(context, storeName) {
+  return storeName ? [requireStore(context, storeName, 'store')] : context.stores.names();
+}
+
+function selectedPairs(context, pairName) {
+  if (pairName && !context.locations.has(pairName)) {
+    throw new UsageError(`Unknown location pair "${pairName}" (${context.locations.names().join(', ')})`);
+  }
+  return pairName ? [context.locations.get(pairName)] : context.locations.all();
+}
+
+/**
+ * Each command returns the data printed by --json and the tables showing it.
+ */
+const COMMANDS = {
+  async sync(context, [ean], options) {
+    if (!ean) throw new UsageError('sync needs an EAN');
+    const sourceStore = requireStore(context, options.from, 'from');
+    const [pair] = selectedPairs(context, options.pair);
+
+    const results = await context.syncService.manualSync(ean, sourceStore, pair.name);
+    return {
+      data: { ean, sourceStore, pair: pair.name, results },
+      tables: [{ columns: ['targetStore', 'status'], rows: results }]
+    };
+  },
+
+  async 'cache clear'(context, args, options) {
+    const rows = [];
+    for (const storeName of selectedStores(context, options.store)) {
+      await context.syncService.clearCache(options.ean, storeName);
+      // The server refreshes in the background; here we wait for the new index
+      const products = await context.syncService.catalog.refresh(storeName);
+      rows.push({ store: storeName, inventoryCache: options.ean ? `cleared for ${options.ean}` : '-', products });
+    }
+    return { data: rows, tables: [{ columns: ['store', 'inventoryCache', 'products'], rows }] };
+  },
+
+  async status(context) {
+    const { syncService } = context;
+    const stats = await syncService.getStats();
+    const queue = await syncService.queue.size();
+    const debouncePending = await syncService.debouncer.pendingCount();
+
+    const catalog = {};
+    for (const storeName of context.stores.names()) {
+      catalog[storeName] = await syncService.catalog.getMeta(storeName);
+    }
+
+    const counters = {
+      totalSyncs: stats.totalSyncs,
+      totalErrors: stats.totalErrors,
+      deadLetters: stats.deadLetters,
+      duplicateWebhooks: stats.duplicateWebhooks,
+      ...Object.fromEntries(Object.entries(queue).map(([state, count]) => [`queue.${state}`, count])),
+      debouncePending
+    };
+
+    return {
+      data: { ...stats, queue, debouncePending, catalog },
+      tables: [
+        {
+          columns: ['counter', 'value'],
+          rows: Object.entries(counters).map(([counter, value]) => ({ counter, value }))
+        },
+        {
+          title: 'Location pairs',
+          columns: ['pair', 'store', 'locationId', 'location'],
+          rows: context.locations.all().flatMap(pair => Object.entries(pair.locations).map(([store, location]) => ({
+            pair: pair.name, store, locationId: location.id, location: location.name
+          })))
+        },
+        {
+          title: 'Catalog',
+          columns: ['store', 'products', 'variants', 'refreshedAt'],
+          rows: Object.entries(catalog).map(([store, meta]) => ({ store, ...(meta || {}) }))
+        }
+      ]
+    };
+  },
+
+  async logs(context, args, options) {
+    const limit = options.limit ? parseInt(options.limit) : 20;
+    if (!(limit > 0)) throw new UsageError('--limit must be a positive number');
+    if (options.store) requireStore(context, options.store, 'store');
+
+    const { entries } = await context.syncService.getLogs({
+      ean: options.ean,
+      store: options.store,
+      type: options.type,
+      limit
+    });
+    return {
+      data: entries,
+      tables: [{
+        columns: ['timestamp', 'type', 'ean', 'sourceStore', 'targetStore', 'pair', 'value', 'error'],
+        rows: entries
+      }]
+    };
+  },
+
+  async 'webhooks list'(context, args, options) {
+    const rows = [];
+    for (const storeName of selectedStores(context, options.store)) {
+      for (const webhook of await context.stores.get(storeName).listWebhooks()) {
+        rows.push({ store: storeName, id: webhook.id, topic: webhook.topic, address: webhook.address });
+      }
+    }
+    return { data: rows, tables: [{ columns: ['store', 'id', 'topic', 'address'], rows }] };
+  },
+
+  async 'webhooks register'(context, args, options) {
+    const baseUrl = options.url || process.env.PUBLIC_BASE_URL || process.env.RENDER_EXTERNAL_URL;
+    if (!baseUrl) {
+      throw new UsageError('--url is required when PUBLIC_BASE_URL is not configured');
+    }
+
+    const rows = [];
+    for (const storeName of selectedStores(context, options.store)) {
+      const store = context.stores.get(storeName);
+      for (const { topic, address } of webhookSubscriptions(storeName, baseUrl, context.syncService.mode)) {
+        const webhook = await store.setupWebhook(address, topic);
+        rows.push({ store: storeName, id: webhook.id, topic, address });
+      }
+    }
+    return { data: rows, tables: [{ columns: ['store', 'id', 'topic', 'address'], rows }] };
+  },
+
+  async 'webhooks delete'(context, [id], options) {
+    if (!id) throw new UsageError('webhooks delete needs a webhook id');
+    const storeName = requireStore(context, options.store, 'store');
+
+    await context.stores.get(storeName).deleteWebhook(id);
+    const row = { store: storeName, id, deleted: true };
+    return { data: row, tables: [{ columns: ['store', 'id', 'deleted'], rows: [row] }] };
+  },
+
+  async 'inventory get'(context, [ean], options) {
+    if (!ean) throw new UsageError('inventory get needs an EAN');
+    const { syncService, locations } = context;
+
+    const rows = [];
+    for (const pair of selectedPairs(context, options.pair)) {
+      for (const storeName of locations.stores(pair)) {
+        const locationId = locations.locationId(pair, storeName);
+        const row = { pair: pair.name, store: storeName, location: pair.locations[storeName].name };
+
+        const found = await syncService.findVariant(storeName, ean);
+        if (!found) {
+          rows.push({ ...row, product: null, sku: null, available: null, cached: null });
+          continue;
+        }
+
+        const level = await context.stores.get(storeName).getInventoryLevel(found.variant.inventory_item_id, locationId);
+        const cached = await context.redisClient.get(syncService.inventoryKey(storeName, locationId, ean));
+        rows.push({
+          ...row,
+          product: found.product.title,
+          sku: found.variant.sku || null,
+          available: level ? level.available : null,
+          cached: cached === null ? null : parseInt(cached)
+        });
+      }
+    }
+    return {
+      data: rows,
+      tables: [{ columns: ['pair', 'store', 'location', 'product', 'sku', 'available', 'cached'], rows }]
+    };
+  }
+};
+
+// "webhooks list" before "webhooks": commands are one or two words
+function findCommand(positionals) {
+  const [first, second] = positionals;
+  if (second && COMMANDS[`${first} ${second}`]) {
+    return { name: `${first} ${second}`, args: positionals.slice(2) };
+  }
+  if (first && COMMANDS[first]) {
+    return { name: first, args: positionals.slice(1) };
+  }
+  return null;
+}
+
+function formatCell(value) {
+  if (value === undefined || value === null) return '-';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function printTable({ title, columns, rows }) {
+  if (title) console.log(`\n${title}`);
+  if (rows.length === 0) {
+    console.log('(none)');
+    return;
+  }
+
+  const cells = rows.map(row => columns.map(column => formatCell(row[column])));
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(line => line[i].length)));
+  const print = values => console.log(values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd());
+
+  print(columns.map(column => column.toUpperCase()));
+  print(widths.map(width => '-'.repeat(width)));
+  cells.forEach(print);
+}
+
+async function run(argv, context = null) {
+  const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+  if (options.help || positionals.length === 0) {
+    console.log(USAGE);
+    return;
+  }
+
+  const command = findCommand(positionals);
+  if (!command) {
+    throw new UsageError(`Unknown command "${positionals.join(' ')}"`);
+  }
+
+  // Service logs go to stdout as JSON lines: only errors unless asked for
+  if (!process.env.LOG_LEVEL) {
+    logger.setLevel(options.verbose ? 'debug' : 'error');
+  }
+
+  const ownContext = !context;
+  if (ownContext) {
+    context = createContext({ reconnect: false });
+  }
+
+  try {
+    if (ownContext) await context.connect();
+
+    const { data, tables } = await COMMANDS[command.name](context, command.args, options);
+    if (options.json) {
+      console.log(JSON.stringify(data, null, 2));
+    } else {
+      tables.forEach(printTable);
+    }
+  } finally {
+    if (ownContext && context.redisClient.isOpen) await context.redisClient.quit();
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(error => {
+    // parseArgs rejects unknown options with ERR_PARSE_ARGS_* codes
+    const usage = error instanceof UsageError || (error.code || '').startsWith('ERR_PARSE_ARGS');
+    console.error(`Error: ${error.message}`);
+    if (usage) console.error('\nRun "ensovo --help" for usage.');
+    process.exitCode = usage ? 2 : 1;
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,74 @@
+const { createClient } = require('redis');
+const { loadStoreConfigs } = require('./config/stores');
+const { loadLocationPairs } = require('./config/locations');
+const { loadNotificationChannels } = require('./config/notifications');
+const StoreRegistry = require('./services/storeRegistry');
+const LocationPairs = require('./services/locationPairs');
+const SyncService = require('./services/sync');
+const notifier = require('./services/notifier');
+const { createChannels } = require('./services/notificationChannels');
+const logger = require('./services/logger').child({ component: 'redis' });
+
+const PRODUCT_TOPICS = ['products/create', 'products/update', 'products/delete'];
+const ORDER_TOPICS = ['orders/create', 'orders/cancelled', 'refunds/create'];
+
+/**
+ * Everything the server and the CLI share: the Redis client, the stores and
+ * their location pairs, the sync service built on top of them and the
+ * notification channels.
+ *
+ * Nothing is started here: connect() opens Redis and resolves location names
+ * to ids, the caller decides whether to start workers. The server keeps
+ * retrying when Redis is down; one-shot callers pass reconnect: false to get
+ * the error instead of waiting forever.
+ */
+function createContext({ reconnect = true } = {}) {
+  const redisClient = createClient({
+    url: process.env.REDIS_URL,
+    ...(reconnect ? {} : { socket: { reconnectStrategy: false } })
+  });
+  redisClient.on('error', (error) => logger.error('Redis client error', { error }));
+
+  const storeConfigs = loadStoreConfigs();
+  const stores = StoreRegistry.fromConfig(storeConfigs);
+
+  // Location names are resolved to ids by connect()
+  const locations = new LocationPairs(loadLocationPairs(storeConfigs), {
+    legacyLocationNames: Object.fromEntries(storeConfigs.map(config => [config.storeName, config.locationName]))
+  });
+
+  const syncService = new SyncService(stores, redisClient, locations);
+
+  // Bursts of the same kind of event are grouped in one digest per window
+  notifier.configure(redisClient, createChannels(loadNotificationChannels()), {
+    window: parseInt(process.env.NOTIFY_DIGEST_WINDOW) || 300
+  });
+
+  return {
+    redisClient,
+    storeConfigs,
+    stores,
+    locations,
+    syncService,
+    async connect() {
+      await redisClient.connect();
+      // A missing location must stop here, not silently skip its webhooks
+      await locations.resolve(stores);
+    }
+  };
+}
+
+// Webhooks a store must deliver to the server reachable at baseUrl, for the
+// sync mode in use (SYNC_MODE): inventory levels, or orders and refunds
+function webhookSubscriptions(storeName, baseUrl, mode = 'inventory') {
+  const changes = mode === 'orders'
+    ? ORDER_TOPICS.map(topic => ({ topic, address: `${baseUrl}/webhooks/${storeName}/orders` }))
+    : [{ topic: 'inventory_levels/update', address: `${baseUrl}/webhooks/${storeName}/inventory` }];
+
+  return [
+    ...changes,
+    ...PRODUCT_TOPICS.map(topic => ({ topic, address: `${baseUrl}/webhooks/${storeName}/products` }))
+  ];
+}
+
+module.exports = { createContext, webhookSubscriptions };
@@ -0,0 +1,48 @@
+const { SCOPES } = require('../services/adminAuth');
+
+// Shorter secrets are too easy to guess, even with failed attempts rate-limited
+const MIN_KEY_LENGTH = 24;
+
+/**
+ * Load the API keys allowed on the admin endpoints from ADMIN_API_KEYS, a
+ * comma-separated list of "name:key:scope" entries, scope being "read" or
+ * "operator":
+ *
+ *   ADMIN_API_KEYS="grafana:3f9c...:read,ops:a71e...:operator"
+ *
+ * The name only shows up in the audit log. With no key configured every admin
+ * endpoint is refused.
+ */
+function loadAdminKeys() {
+  const entries = (process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  const names = new Set();
+  return entries.map(entry => {
+    const parts = entry.split(':');
+    if (parts.length < 3) {
+      throw new Error('ADMIN_API_KEYS entries must look like "name:key:scope"');
+    }
+
+    const name = parts[0];
+    const scope = parts[parts.length - 1];
+    const key = parts.slice(1, -1).join(':');
+
+    if (!name || names.has(name)) {
+      throw new Error(`Admin API key name "${name}" is empty or used twice`);
+    }
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Admin API key "${name}" has an unknown scope "${scope}" (${SCOPES.join(' or ')})`);
+    }
+    if (key.length < MIN_KEY_LENGTH) {
+      throw new Error(`Admin API key "${name}" must be at least ${MIN_KEY_LENGTH} characters long`);
+    }
+    names.add(name);
+
+    return { name, key, scope };
+  });
+}
+
+module.exports = { loadAdminKeys };
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Load the location pairs to keep in sync. Each pair names one location per
+ * store; a change at one of them is applied to the other locations of the
+ * same pair only, so several warehouses can sync independently.
+ *
+ *   [{ "name": "lyon", "locations": { "store1": "Entrepôt Lyon", "store2": "Lyon" } }]
+ *
+ * - LOCATION_PAIRS_CONFIG: path to a JSON file holding that array
+ * - LOCATION_PAIRS: the same array, inline
+ * - otherwise a single "default" pair made of each store's locationName
+ *
+ * Names are resolved to location ids at startup (see LocationPairs.resolve).
+ */
+function loadLocationPairs(storeConfigs) {
+  let pairs;
+
+  if (process.env.LOCATION_PAIRS_CONFIG) {
+    const file = path.resolve(process.env.LOCATION_PAIRS_CONFIG);
+    pairs = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } else if (process.env.LOCATION_PAIRS) {
+    pairs = JSON.parse(process.env.LOCATION_PAIRS);
+  } else {
+    const unnamed = storeConfigs.filter(config => !config.locationName);
+    if (unnamed.length > 0) {
+      throw new Error(`No location name for ${unnamed.map(config => config.storeName).join(', ')}: set SHOPIFY_<NAME>_LOCATION_NAME or LOCATION_PAIRS`);
+    }
+    pairs = [{
+      name: 'default',
+      locations: Object.fromEntries(storeConfigs.map(config => [config.storeName, config.locationName]))
+    }];
+  }
+
+  validate(pairs, storeConfigs.map(config => config.storeName));
+  return pairs.map(pair => ({ name: pair.name, locations: { ...pair.locations } }));
+}
+
+function validate(pairs, storeNames) {
+  if (!Array.isArray(pairs) || pairs.length === 0) {
+    throw new Error('Location pairs must be a non-empty array');
+  }
+
+  const seen = new Set();
+  for (const pair of pairs) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(pair.name || '')) {
+      throw new Error(`Invalid location pair name "${pair.name}" (letters, digits, "-" and "_" only)`);
+    }
+    if (seen.has(pair.name)) {
+      throw new Error(`Location pair "${pair.name}" is configured twice`);
+    }
+    seen.add(pair.name);
+
+    const entries = Object.entries(pair.locations || {});
+    if (entries.length < 2) {
+      throw new Error(`Location pair "${pair.name}" must name a location in at least two stores`);
+    }
+    for (const [storeName, locationName] of entries) {
+      if (!storeNames.includes(storeName)) {
+        throw new Error(`Location pair "${pair.name}" refers to unknown store "${storeName}"`);
+      }
+      if (typeof locationName !== 'string' || !locationName.trim()) {
+        throw new Error(`Location pair "${pair.name}" has no location name for ${storeName}`);
+      }
+    }
+  }
+}
+
+module.exports = { loadLocationPairs };
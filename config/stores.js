@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+// Location synced by the two original shops before location pairs existed
+const LEGACY_DEFAULTS = {
+  store1: { locationName: 'Naturellement bio' },
+  store2: { locationName: 'Naturellement bio' }
+};
+
+const REQUIRED_FIELDS = ['domain', 'accessToken', 'webhookSecret'];
+
+/**
+ * Read the settings of one store from SHOPIFY_<NAME>_* environment variables.
+ */
+function fromEnv(storeName) {
+  const prefix = `SHOPIFY_${storeName.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const defaults = LEGACY_DEFAULTS[storeName] || {};
+
+  return {
+    storeName,
+    domain: process.env[`${prefix}DOMAIN`],
+    accessToken: process.env[`${prefix}ACCESS_TOKEN`],
+    webhookSecret: process.env[`${prefix}WEBHOOK_SECRET`],
+    // Location of the default pair when LOCATION_PAIRS is not set
+    locationName: process.env[`${prefix}LOCATION_NAME`] || defaults.locationName,
+    // Optional: "graphql" (default) or "rest", otherwise SHOPIFY_API_MODE applies
+    apiMode: process.env[`${prefix}API_MODE`],
+    // Optional: Admin API origin other than https://<domain>, e.g. a local fake
+    apiUrl: process.env[`${prefix}API_URL`]
+  };
+}
+
+/**
+ * Load the list of stores to keep in sync.
+ *
+ * - STORES_CONFIG: path to a JSON file holding an array of stores
+ *   ({ storeName, domain, locationName, ... }). Missing fields,
+ *   typically secrets, fall back to the SHOPIFY_<NAME>_* variables.
+ * - SYNC_STORES: comma-separated store names read from the environment only
+ *   (default: "store1,store2").
+ */
+function loadStoreConfigs() {
+  let configs;
+
+  if (process.env.STORES_CONFIG) {
+    const file = path.resolve(process.env.STORES_CONFIG);
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(entries)) {
+      throw new Error(`Store config ${file} must contain an array of stores`);
+    }
+    configs = entries.map(entry => {
+      const envConfig = fromEnv(entry.storeName || '');
+      const merged = { ...envConfig };
+      for (const [field, value] of Object.entries(entry)) {
+        if (value !== undefined && value !== null && value !== '') merged[field] = value;
+      }
+      return merged;
+    });
+  } else {
+    const names = (process.env.SYNC_STORES || 'store1,store2')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+    configs = names.map(fromEnv);
+  }
+
+  validate(configs);
+  return configs;
+}
+
+function validate(configs) {
+  if (configs.length < 2) {
+    throw new Error('At least two stores must be configured to sync stock');
+  }
+
+  const seen = new Set();
+  for (const config of configs) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(config.storeName || '')) {
+      throw new Error(`Invalid store name "${config.storeName}" (letters, digits, "-" and "_" only)`);
+    }
+    if (seen.has(config.storeName)) {
+      throw new Error(`Store "${config.storeName}" is configured twice`);
+    }
+    seen.add(config.storeName);
+
+    const missing = REQUIRED_FIELDS.filter(field => !config[field]);
+    if (missing.length > 0) {
+      throw new Error(`Store "${config.storeName}" is missing: ${missing.join(', ')}`);
+    }
+  }
+}
+
+module.exports = { loadStoreConfigs };
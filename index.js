@@ -3,43 +3,51 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const crypto = require('crypto');
 const zlib = require('zlib');
-const { createClient } = require('redis');
-const ShopifyService = require('./services/shopify');
-const SyncService = require('./services/sync');
+const { createContext, webhookSubscriptions } = require('./bootstrap');
+const { loadAdminKeys } = require('./config/adminKeys');
+const Reconciler = require('./services/reconciler');
+const Seeder = require('./services/seeder');
+const AdminAuth = require('./services/adminAuth');
+const SyncHistory = require('./services/history');
+const HttpError = require('./services/httpError');
+const metrics = require('./services/metrics');
+const notifier = require('./services/notifier');
+const logger = require('./services/logger').child({ component: 'server' });
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-/* -----------------------------------------------------
-   🔧 CONFIG REDIS
------------------------------------------------------ */
-const redisClient = createClient({
-  url: process.env.REDIS_URL
-});
-redisClient.on('error', (err) => console.error('Redis Client Error', err));
+// Behind a proxy (Render), req.ip must come from X-Forwarded-For to rate-limit
+// the real client: TRUST_PROXY is the number of proxy hops to trust (0: none),
+// one by default on Render
+const trustProxy = process.env.TRUST_PROXY !== undefined
+  ? parseInt(process.env.TRUST_PROXY) || 0
+  : (process.env.RENDER ? 1 : null);
+if (trustProxy) {
+  app.set('trust proxy', trustProxy);
+}
 
 /* -----------------------------------------------------
-   🏪 INIT SHOPIFY SERVICES
+   🏪 INIT REDIS + SHOPIFY SERVICES
 ----------------------------------------------------- */
-const shopifyStore1 = new ShopifyService({
-  domain: process.env.SHOPIFY_STORE1_DOMAIN,
-  accessToken: process.env.SHOPIFY_STORE1_ACCESS_TOKEN,
-  webhookSecret: process.env.SHOPIFY_STORE1_WEBHOOK_SECRET,
-  storeName: 'store1',
-  locationId: '107120820601',
-  locationName: 'Naturellement bio'
-});
+// Shared with the ensovo CLI; location names are resolved when the server starts
+const context = createContext();
+const { redisClient, stores, locations, syncService } = context;
 
-const shopifyStore2 = new ShopifyService({
-  domain: process.env.SHOPIFY_STORE2_DOMAIN,
-  accessToken: process.env.SHOPIFY_STORE2_ACCESS_TOKEN,
-  webhookSecret: process.env.SHOPIFY_STORE2_WEBHOOK_SECRET,
-  storeName: 'store2',
-  locationId: '110812889462',
-  locationName: 'Naturellement bio'
+const reconciler = new Reconciler(syncService, {
+  policy: process.env.RECONCILE_POLICY || 'min',
+  interval: (parseInt(process.env.RECONCILE_INTERVAL) || 0) * 60 * 1000,
+  autoRepair: process.env.RECONCILE_REPAIR === 'true'
 });
 
-const syncService = new SyncService(shopifyStore1, shopifyStore2, redisClient);
+const seeder = new Seeder(syncService);
+
+// Admin endpoints: API keys from ADMIN_API_KEYS, 10 failed attempts of a key
+// from one IP within 15 minutes block that key from that IP until the window ends
+const adminAuth = new AdminAuth(redisClient, loadAdminKeys(), {
+  maxFailures: parseInt(process.env.ADMIN_MAX_FAILURES) || 10,
+  failureWindow: parseInt(process.env.ADMIN_FAILURE_WINDOW) || 900
+});
 
 /* -----------------------------------------------------
    🩺 HEALTH CHECK
@@ -48,17 +56,44 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+/* -----------------------------------------------------
+   🧵 CORRELATION IDS
+----------------------------------------------------- */
+// Every log line of a request, and of the jobs it enqueues, carries this id
+function correlate(req, res, next) {
+  const correlationId = crypto.randomUUID();
+  res.set('X-Correlation-Id', correlationId);
+  logger.withCorrelation(correlationId, next);
+}
+
 /* -----------------------------------------------------
    🔒 VERIFY WEBHOOK
 ----------------------------------------------------- */
-function verifyWebhook(shopifyService) {
+function resolveStore(req, res, next) {
+  // "inventory", "products" or "orders", taken from the route rather than the request
+  req.webhookKind = req.route.path.split('/').pop();
+
+  if (!stores.has(req.params.store)) {
+    metrics.webhooksReceived.inc({ store: 'unknown', kind: req.webhookKind });
+    metrics.webhooksRejected.inc({ store: 'unknown', kind: req.webhookKind, reason: 'unknown_store' });
+    return res.status(404).send('Unknown store');
+  }
+  metrics.webhooksReceived.inc({ store: req.params.store, kind: req.webhookKind });
+  req.shopifyService = stores.get(req.params.store);
+  next();
+}
+
+function verifyWebhook() {
   return (req, res, next) => {
+    const shopifyService = req.shopifyService;
     const hmac = req.get('X-Shopify-Hmac-Sha256');
     const topic = req.get('X-Shopify-Topic');
     const shop = req.get('X-Shopify-Shop-Domain');
+    const labels = { store: shopifyService.storeName, kind: req.webhookKind };
 
     // Si pas de HMAC → ping ou test → on ignore sans bruit
     if (!hmac) {
+      metrics.webhooksSkipped.inc({ store: labels.store, reason: 'ping' });
       return res.status(200).send('pong');
     }
 
@@ -67,6 +102,7 @@ function verifyWebhook(shopifyService) {
     // Si la vérification échoue → on renvoie 200 silencieusement pour éviter les retries
     if (!shopifyService.verifyWebhook(rawBody, hmac)) {
       // ⏳ Ne log rien, ne bloque pas — évite les retry Shopify
+      metrics.webhooksRejected.inc({ ...labels, reason: 'invalid_hmac' });
       return res.status(200).send('ignored');
     }
 
@@ -74,13 +110,100 @@ function verifyWebhook(shopifyService) {
       req.body = JSON.parse(rawBody.toString('utf8'));
     } catch (err) {
       // Toujours silencieux
+      metrics.webhooksRejected.inc({ ...labels, reason: 'invalid_json' });
       return res.status(200).send('ignored');
     }
 
+    metrics.webhooksVerified.inc(labels);
+    logger.info('Webhook received', { store: labels.store, topic, shop, webhookId: req.get('X-Shopify-Webhook-Id') });
     next();
   };
 }
 
+/* -----------------------------------------------------
+   🔁 IGNORE REDELIVERED WEBHOOKS
+----------------------------------------------------- */
+async function dedupeWebhook(req, res, next) {
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+  if (!webhookId) {
+    return next();
+  }
+
+  try {
+    const isFirstDelivery = await syncService.deliveries.register(webhookId);
+    if (!isFirstDelivery) {
+      // Déjà reçu → on acquitte sans retraiter
+      await syncService.deliveries.recordDuplicate();
+      metrics.webhooksSkipped.inc({ store: req.params.store, reason: 'duplicate' });
+      return res.status(200).send('duplicate');
+    }
+  } catch (error) {
+    logger.error('Failed to check webhook delivery id', { webhookId, error });
+    return res.status(500).send('Retry later');
+  }
+
+  req.webhookId = webhookId;
+  next();
+}
+
+/* -----------------------------------------------------
+   🔑 ADMIN AUTHENTICATION
+----------------------------------------------------- */
+function presentedKey(req) {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.get('X-Api-Key');
+}
+
+function requireScope(scope) {
+  return async (req, res, next) => {
+    // Every admin request is audited once the response is sent
+    res.on('finish', () => {
+      adminAuth.audit({
+        key: req.adminKey ? req.adminKey.name : null,
+        scope,
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip,
+        status: res.statusCode
+      }).catch(error => logger.error('Failed to write admin audit entry', { error }));
+    });
+
+    // No key configured → the admin API stays closed
+    if (!adminAuth.enabled) {
+      return res.status(503).json({ error: 'Admin API disabled: ADMIN_API_KEYS is not configured' });
+    }
+
+    try {
+      const secret = presentedKey(req);
+      const retryAfter = await adminAuth.blockedFor(req.ip, secret);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Too many failed attempts, try again later' });
+      }
+
+      const key = adminAuth.identify(secret);
+      if (!key) {
+        const failures = await adminAuth.recordFailure(req.ip, secret);
+        logger.warn('Rejected admin request', { method: req.method, path: req.path, ip: req.ip, failures });
+        return res.status(401).json({ error: 'Missing or invalid API key' });
+      }
+
+      req.adminKey = key;
+      if (!adminAuth.allows(key, scope)) {
+        return res.status(403).json({ error: `This endpoint requires the "${scope}" scope` });
+      }
+    } catch (error) {
+      logger.error('Failed to check admin credentials', { error });
+      return res.status(503).json({ error: 'Authentication unavailable, retry later' });
+    }
+
+    correlate(req, res, next);
+  };
+}
+
 /* -----------------------------------------------------
    ⚙️ MIDDLEWARES (gzip-safe)
 ----------------------------------------------------- */
@@ -100,47 +223,101 @@ app.use(bodyParser.json());
 /* -----------------------------------------------------
    📦 WEBHOOK ENDPOINTS
 ----------------------------------------------------- */
-app.post('/webhooks/store1/inventory',
-  verifyWebhook(shopifyStore1),
+app.post('/webhooks/:store/inventory',
+  correlate,
+  resolveStore,
+  verifyWebhook(),
+  dedupeWebhook,
   async (req, res) => {
-    res.status(200).send('OK');
-    await syncService.handleInventoryUpdate('store1', req.body);
+    try {
+      // Only acknowledge once the job is safely stored in Redis
+      await syncService.handleInventoryUpdate(req.params.store, req.body);
+      res.status(200).send('OK');
+    } catch (error) {
+      logger.error('Failed to enqueue inventory update', { store: req.params.store, error });
+      if (req.webhookId) {
+        await syncService.deliveries.release(req.webhookId).catch(() => {});
+      }
+      res.status(500).send('Retry later');
+    }
   }
 );
 
-app.post('/webhooks/store2/inventory',
-  verifyWebhook(shopifyStore2),
+app.post('/webhooks/:store/products',
+  correlate,
+  resolveStore,
+  verifyWebhook(),
+  dedupeWebhook,
   async (req, res) => {
-    res.status(200).send('OK');
-    await syncService.handleInventoryUpdate('store2', req.body);
+    try {
+      await syncService.handleProductUpdate(req.params.store, req.get('X-Shopify-Topic'), req.body);
+      res.status(200).send('OK');
+    } catch (error) {
+      logger.error('Failed to enqueue product update', { store: req.params.store, error });
+      if (req.webhookId) {
+        await syncService.deliveries.release(req.webhookId).catch(() => {});
+      }
+      res.status(500).send('Retry later');
+    }
+  }
+);
+
+// orders/create, orders/cancelled and refunds/create (SYNC_MODE=orders)
+app.post('/webhooks/:store/orders',
+  correlate,
+  resolveStore,
+  verifyWebhook(),
+  dedupeWebhook,
+  async (req, res) => {
+    try {
+      await syncService.handleOrderEvent(req.params.store, req.get('X-Shopify-Topic'), req.body);
+      res.status(200).send('OK');
+    } catch (error) {
+      logger.error('Failed to enqueue order event', { store: req.params.store, error });
+      if (req.webhookId) {
+        await syncService.deliveries.release(req.webhookId).catch(() => {});
+      }
+      res.status(500).send('Retry later');
+    }
   }
 );
 
 /* -----------------------------------------------------
    🧭 MANUAL SYNC + DEBUG ENDPOINTS
 ----------------------------------------------------- */
-app.post('/sync/manual', async (req, res) => {
+app.post('/sync/manual', requireScope('operator'), async (req, res) => {
   try {
-    const { ean, sourceStore } = req.body;
-    await syncService.manualSync(ean, sourceStore);
-    res.json({ success: true, message: 'Manual sync triggered' });
+    const { ean, sourceStore, pair } = req.body;
+    if (pair && !locations.has(pair)) {
+      return res.status(400).json({ error: `Unknown location pair "${pair}"` });
+    }
+    const results = await syncService.manualSync(ean, sourceStore, pair);
+    res.json({ success: true, message: 'Manual sync triggered', results });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/setup/webhooks', async (req, res) => {
+app.post('/setup/webhooks', requireScope('operator'), async (req, res) => {
   try {
-    const baseUrl = req.body.baseUrl || `https://${req.get('host')}`;
-    await shopifyStore1.setupWebhook(`${baseUrl}/webhooks/store1/inventory`);
-    await shopifyStore2.setupWebhook(`${baseUrl}/webhooks/store2/inventory`);
+    // Never taken from the request: webhooks would deliver stock data elsewhere
+    const baseUrl = process.env.PUBLIC_BASE_URL || process.env.RENDER_EXTERNAL_URL;
+    if (!baseUrl) {
+      return res.status(500).json({ error: 'PUBLIC_BASE_URL is not configured' });
+    }
+
+    for (const store of stores.all()) {
+      for (const { topic, address } of webhookSubscriptions(store.storeName, baseUrl, syncService.mode)) {
+        await store.setupWebhook(address, topic);
+      }
+    }
     res.json({ success: true, message: 'Webhooks configured' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/status', async (req, res) => {
+app.get('/status', requireScope('read'), async (req, res) => {
   try {
     const stats = await syncService.getStats();
     res.json(stats);
@@ -149,28 +326,116 @@ app.get('/status', async (req, res) => {
   }
 });
 
-app.get('/logs', async (req, res) => {
+app.get('/metrics', requireScope('read'), async (req, res) => {
   try {
-    const logs = await syncService.getLogs(50);
-    res.json(logs);
+    res.set('Content-Type', metrics.registry.contentType);
+    res.send(await metrics.registry.metrics());
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/cache/clear', async (req, res) => {
+// ISO date or epoch milliseconds → epoch milliseconds (undefined when absent)
+function parseTime(value) {
+  if (value === undefined || value === '') return undefined;
+  const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new HttpError(400, `Invalid date "${value}"`);
+  }
+  return time;
+}
+
+app.get('/logs', requireScope('read'), async (req, res) => {
+  try {
+    const { ean, store, type, cursor, format = 'json' } = req.query;
+
+    if (type && !SyncHistory.TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${SyncHistory.TYPES.join(', ')}` });
+    }
+    if (!['json', 'csv', 'ndjson'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json, csv or ndjson' });
+    }
+    if (cursor !== undefined && !SyncHistory.isCursor(cursor)) {
+      return res.status(400).json({ error: 'cursor must be a nextCursor returned by a previous page' });
+    }
+
+    const filters = {
+      ean,
+      store,
+      type,
+      from: parseTime(req.query.from),
+      to: parseTime(req.query.to),
+      cursor,
+      order: req.query.order === 'asc' ? 'asc' : 'desc'
+    };
+
+    if (format === 'json') {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 1000);
+      return res.json(await syncService.getLogs({ ...filters, limit }));
+    }
+
+    // Exports hold every matching event, streamed page by page, up to a bound
+    // on the entries read: an export cut there can go on with its cursor
+    const history = syncService.history;
+    const filename = `sync-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Trailer', 'X-Next-Cursor');
+
+    if (format === 'csv') res.write(history.csvHeader());
+    const onLimit = nextCursor => {
+      logger.warn('Sync history export stopped at its scan limit', { filters, nextCursor });
+      res.addTrailers({ 'X-Next-Cursor': nextCursor });
+    };
+    for await (const entry of history.iterate(filters, { onLimit })) {
+      res.write(format === 'csv' ? history.toCsvRow(entry) : `${JSON.stringify(entry)}\n`);
+    }
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      logger.error('Sync history export failed', { error });
+      return res.end();
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/products/:ean/timeline', requireScope('read'), async (req, res) => {
+  try {
+    const { cursor } = req.query;
+    if (cursor !== undefined && !SyncHistory.isCursor(cursor)) {
+      return res.status(400).json({ error: 'cursor must be a nextCursor returned by a previous page' });
+    }
+
+    const { events, nextCursor } = await syncService.timeline.list(req.params.ean, {
+      from: parseTime(req.query.from),
+      to: parseTime(req.query.to),
+      cursor,
+      limit: Math.min(parseInt(req.query.limit) || 500, 5000),
+      order: req.query.order === 'asc' ? 'asc' : 'desc'
+    });
+    res.json({ ean: req.params.ean, events, nextCursor });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/cache/clear', requireScope('operator'), async (req, res) => {
   try {
     const { ean, storeName } = req.body;
 
     if (!storeName) {
       return res.status(400).json({ error: 'storeName is required' });
     }
+    if (!stores.has(storeName)) {
+      return res.status(400).json({ error: `Unknown store "${storeName}"` });
+    }
 
     await syncService.clearCache(ean, storeName);
 
     const message = ean
       ? `Cache cleared for EAN ${ean} in ${storeName}`
-      : `Products cache cleared for ${storeName}`;
+      : `Catalog refresh triggered for ${storeName}`;
 
     res.json({ success: true, message });
   } catch (error) {
@@ -179,32 +444,364 @@ app.post('/cache/clear', async (req, res) => {
 });
 
 /* -----------------------------------------------------
-   🚀 START SERVER
+   🧪 DRY-RUN MODE
 ----------------------------------------------------- */
-async function start() {
+app.get('/dry-run', requireScope('read'), async (req, res) => {
+  try {
+    res.json(await syncService.dryRun.getState());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/dry-run', requireScope('operator'), async (req, res) => {
   try {
-    await redisClient.connect();
-    console.log('✅ Redis connected');
+    const { enabled, store } = req.body;
 
-    app.listen(PORT, () => {
-      console.log(`🚀 Ensovo Stock Sync v2.0 running on port ${PORT}`);
-      console.log(`📍 Store 1: ${process.env.SHOPIFY_STORE1_DOMAIN} - Location: "${shopifyStore1.locationName}" (ID: ${shopifyStore1.locationId})`);
-      console.log(`📍 Store 2: ${process.env.SHOPIFY_STORE2_DOMAIN} - Location: "${shopifyStore2.locationName}" (ID: ${shopifyStore2.locationId})`);
-      console.log(`🏷️  Sync tag: ${process.env.SYNC_TAG}`);
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled (true/false) is required' });
+    }
+    if (store && !stores.has(store)) {
+      return res.status(400).json({ error: `Unknown store "${store}"` });
+    }
+
+    if (store) {
+      await syncService.dryRun.setStore(store, enabled);
+    } else {
+      await syncService.dryRun.setGlobal(enabled);
+    }
+    res.json(await syncService.dryRun.getState());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/dry-run/log', requireScope('read'), async (req, res) => {
+  try {
+    const entries = await syncService.dryRun.list({
+      limit: parseInt(req.query.limit) || 100,
+      store: req.query.store,
+      ean: req.query.ean
     });
+    res.json(entries);
   } catch (error) {
-    console.error('❌ Failed to start:', error);
-    process.exit(1);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/dry-run/log', requireScope('operator'), async (req, res) => {
+  try {
+    await syncService.dryRun.clear();
+    res.json({ success: true, message: 'Dry-run log cleared' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* -----------------------------------------------------
+   ⚖️ ALLOCATION RULES
+----------------------------------------------------- */
+app.get('/allocation/rules', requireScope('read'), async (req, res) => {
+  try {
+    res.json(await syncService.allocation.list());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/allocation/rules', requireScope('operator'), async (req, res) => {
+  try {
+    // { "scope": "ean"|"tag"|"global", "value", "store", "percentage", "safetyStock", "maxQuantity" }
+    const rule = await syncService.allocation.create(req.body, stores.names());
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/allocation/rules/:id', requireScope('operator'), async (req, res) => {
+  try {
+    const removed = await syncService.allocation.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: `Allocation rule ${req.params.id} not found` });
+    }
+    res.json({ success: true, message: `Allocation rule ${req.params.id} deleted` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/allocation/preview', requireScope('read'), async (req, res) => {
+  try {
+    const { ean, sourceStore } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    if (!ean || !Number.isFinite(quantity)) {
+      return res.status(400).json({ error: 'ean and quantity are required' });
+    }
+    if (sourceStore && !stores.has(sourceStore)) {
+      return res.status(400).json({ error: `Unknown store "${sourceStore}"` });
+    }
+
+    const preview = await syncService.previewAllocation(ean, quantity, sourceStore);
+    res.json(preview);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* -----------------------------------------------------
+   🔗 PRODUCT MAPPINGS
+----------------------------------------------------- */
+app.get('/mappings', requireScope('read'), async (req, res) => {
+  try {
+    res.json(await syncService.mappings.list());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/mappings', requireScope('operator'), async (req, res) => {
+  try {
+    // { "variants": { "store1": <variant id>, "store2": <variant id> } }
+    const mapping = await syncService.mappings.create(req.body.variants);
+    res.status(201).json(mapping);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/mappings/suggestions', requireScope('read'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!stores.has(from) || !stores.has(to) || from === to) {
+      return res.status(400).json({ error: 'from and to must be two different configured stores' });
+    }
+
+    const suggestions = await syncService.mappings.suggest(from, to, {
+      limit: parseInt(req.query.limit) || 50,
+      minScore: parseFloat(req.query.minScore) || 0.6
+    });
+    res.json(suggestions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/mappings/:id', requireScope('operator'), async (req, res) => {
+  try {
+    const removed = await syncService.mappings.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: `Mapping ${req.params.id} not found` });
+    }
+    res.json({ success: true, message: `Mapping ${req.params.id} deleted` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* -----------------------------------------------------
+   ☠️ DEAD-LETTER QUEUE
+----------------------------------------------------- */
+app.get('/dead-letters', requireScope('read'), async (req, res) => {
+  try {
+    const entries = await syncService.deadLetters.list(parseInt(req.query.limit) || 100);
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/dead-letters/:id/replay', requireScope('operator'), async (req, res) => {
+  try {
+    const status = await syncService.replayDeadLetter(req.params.id);
+    if (!status) {
+      return res.status(404).json({ error: `Dead-letter ${req.params.id} not found` });
+    }
+    res.json({ success: status === 'applied', status });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/dead-letters/:id', requireScope('operator'), async (req, res) => {
+  try {
+    const removed = await syncService.deadLetters.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: `Dead-letter ${req.params.id} not found` });
+    }
+    res.json({ success: true, message: `Dead-letter ${req.params.id} discarded` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* -----------------------------------------------------
+   🕵️ RECONCILIATION
+----------------------------------------------------- */
+app.post('/reconcile', requireScope('operator'), async (req, res) => {
+  const repair = req.body.repair === true;
+  const policy = req.body.policy || reconciler.policy;
+
+  if (!reconciler.isValidPolicy(policy)) {
+    return res.status(400).json({ error: `Unknown policy "${policy}" (min, max or a store name)` });
+  }
+  if (reconciler.running) {
+    return res.status(409).json({ error: 'A reconciliation is already running' });
   }
+
+  // Can take a while on big catalogs: results are available on /reconcile/last
+  reconciler.run({ repair, policy }).catch(error => {
+    logger.error('Reconciliation failed', { error });
+  });
+  res.status(202).json({ success: true, message: 'Reconciliation started' });
+});
+
+app.get('/reconcile/last', requireScope('read'), async (req, res) => {
+  try {
+    const report = await reconciler.getLast();
+    if (!report) {
+      return res.status(404).json({ error: 'No reconciliation has run yet' });
+    }
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* -----------------------------------------------------
+   🌱 INITIAL SEEDING
+----------------------------------------------------- */
+app.post('/seed', requireScope('operator'), async (req, res) => {
+  const { masterStore, pair } = req.body;
+
+  if (!stores.has(masterStore)) {
+    return res.status(400).json({ error: `Unknown store "${masterStore}"` });
+  }
+  if (pair && !locations.has(pair)) {
+    return res.status(400).json({ error: `Unknown location pair "${pair}"` });
+  }
+  if (!locations.get(pair).locations[masterStore]) {
+    return res.status(400).json({ error: `Store "${masterStore}" has no location in pair "${locations.get(pair).name}"` });
+  }
+
+  try {
+    // Runs in the background: progress is available on /seed/:jobId
+    const job = await seeder.start({ masterStore, pair });
+    if (!job) {
+      return res.status(409).json({ error: 'A seeding job is already running' });
+    }
+    res.status(202).json({ success: true, jobId: job.id, message: 'Seeding started' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A failed job goes on from the chunk that failed
+app.post('/seed/:jobId/retry', requireScope('operator'), async (req, res) => {
+  try {
+    const job = await seeder.get(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: `Seeding job ${req.params.jobId} not found` });
+    }
+    if (job.status !== 'failed') {
+      return res.status(409).json({ error: `Seeding job ${job.id} is ${job.status}, only a failed job can be retried` });
+    }
+
+    if (!(await seeder.retry(job))) {
+      return res.status(409).json({ error: 'A seeding job is already running' });
+    }
+    res.status(202).json({ success: true, jobId: job.id, message: 'Seeding resumed' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/seed/:jobId', requireScope('read'), async (req, res) => {
+  try {
+    const report = await seeder.getReport(req.params.jobId, {
+      limit: Math.min(parseInt(req.query.limit) || 1000, 10000)
+    });
+    if (!report) {
+      return res.status(404).json({ error: `Seeding job ${req.params.jobId} not found` });
+    }
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* -----------------------------------------------------
+   📜 ADMIN AUDIT LOG
+----------------------------------------------------- */
+app.get('/admin/audit', requireScope('operator'), async (req, res) => {
+  try {
+    res.json(await adminAuth.listAudit(parseInt(req.query.limit) || 100));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* -----------------------------------------------------
+   🚀 START SERVER
+----------------------------------------------------- */
+// Resolves with the HTTP server once it listens (port 0 picks a free one)
+async function start({ port = PORT } = {}) {
+  // A missing location stops the deploy (see bootstrap.js)
+  await context.connect();
+  logger.info('Redis connected, location pairs resolved');
+
+  await syncService.start();
+  logger.info('Sync workers started');
+
+  reconciler.start();
+  notifier.start();
+
+  // A seeding job interrupted by the last shutdown continues where it stopped
+  await seeder.resume();
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(port, () => resolve(listening));
+  });
+
+  logger.info('Ensovo Stock Sync v2.0 running', { port: server.address().port, syncTag: syncService.syncTag, mode: syncService.mode });
+  for (const store of stores.all()) {
+    logger.info('Store configured', { store: store.storeName, domain: store.domain, apiMode: store.apiMode });
+  }
+  for (const pair of locations.all()) {
+    logger.info('Location pair configured', { pair: pair.name, locations: pair.locations });
+  }
+  if (!adminAuth.enabled) {
+    logger.warn('ADMIN_API_KEYS is not configured: admin endpoints are disabled');
+  } else if (trustProxy === null) {
+    logger.warn('TRUST_PROXY is not set: behind a proxy every client shares its address, set it to the number of proxy hops (0 if none)');
+  }
+  return server;
 }
 
 /* -----------------------------------------------------
    🧹 GRACEFUL SHUTDOWN
 ----------------------------------------------------- */
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, shutting down gracefully...');
+async function stop() {
+  reconciler.stop();
+  await seeder.stop();
+  await syncService.stop();
+  await notifier.stop();
   await redisClient.quit();
-  process.exit(0);
-});
+}
+
+// Required by the end-to-end tests, started only when run directly
+if (require.main === module) {
+  start().catch(error => {
+    logger.error('Failed to start', { error });
+    process.exit(1);
+  });
+
+  process.on('SIGTERM', async () => {
+    logger.info('SIGTERM received, shutting down gracefully');
+    await stop();
+    process.exit(0);
+  });
+}
 
-start();
+module.exports = { app, context, start, stop };
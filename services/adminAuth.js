@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+// Each scope includes the ones before it: an operator key can also read
+const SCOPES = ['read', 'operator'];
+
+/**
+ * API key authentication for the admin endpoints.
+ *
+ * Keys are kept as SHA-256 digests and compared in constant time. Failed
+ * attempts are counted in Redis per client IP and presented key, and block
+ * that key from that IP for the rest of the window once the limit is reached:
+ * clients sharing an address (a proxy not trusted) keep their valid keys.
+ * Every admin request ends up in a capped audit list.
+ */
+class AdminAuth {
+  constructor(redisClient, keys, { maxFailures = 10, failureWindow = 900, auditSize = 1000 } = {}) {
+    this.redis = redisClient;
+    this.keys = keys.map(({ name, key, scope }) => ({ name, scope, digest: this.digest(key) }));
+    this.maxFailures = maxFailures;
+    this.failureWindow = failureWindow;
+    this.auditSize = auditSize;
+    this.auditKey = 'admin:audit';
+  }
+
+  get enabled() {
+    return this.keys.length > 0;
+  }
+
+  digest(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+  }
+
+  /**
+   * Key matching the presented secret, or null. Every configured key is
+   * compared so the response time says nothing about which one came close.
+   */
+  identify(secret) {
+    if (!secret) return null;
+
+    const digest = this.digest(secret);
+    let match = null;
+    for (const key of this.keys) {
+      if (crypto.timingSafeEqual(digest, key.digest) && !match) {
+        match = key;
+      }
+    }
+    return match;
+  }
+
+  allows(key, scope) {
+    return SCOPES.indexOf(key.scope) >= SCOPES.indexOf(scope);
+  }
+
+  // The presented secret is only kept as a digest prefix, never in clear
+  failureKey(ip, secret) {
+    const presented = secret ? this.digest(secret).toString('hex').slice(0, 16) : 'none';
+    return `admin:failures:${ip}:${presented}`;
+  }
+
+  // Seconds this IP must wait before trying this key again, 0 when it is not blocked
+  async blockedFor(ip, secret) {
+    const key = this.failureKey(ip, secret);
+    const failures = parseInt(await this.redis.get(key)) || 0;
+    if (failures < this.maxFailures) return 0;
+
+    const ttl = await this.redis.ttl(key);
+    return ttl > 0 ? ttl : this.failureWindow;
+  }
+
+  async recordFailure(ip, secret) {
+    const key = this.failureKey(ip, secret);
+    const failures = await this.redis.incr(key);
+    if (failures === 1) {
+      await this.redis.expire(key, this.failureWindow);
+    }
+    return failures;
+  }
+
+  async audit(entry) {
+    await this.redis.multi()
+      .lPush(this.auditKey, JSON.stringify({ ...entry, timestamp: new Date().toISOString() }))
+      .lTrim(this.auditKey, 0, this.auditSize - 1)
+      .exec();
+  }
+
+  async listAudit(limit = 100) {
+    const entries = await this.redis.lRange(this.auditKey, 0, limit - 1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+}
+
+AdminAuth.SCOPES = SCOPES;
+
+module.exports = AdminAuth;
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const HttpError = require('./httpError');
+const logger = require('./logger').child({ component: 'allocation' });
+
+const SCOPES = ['ean', 'tag', 'global'];
+
+/**
+ * Rules deciding how much of the source stock a target store may show.
+ *
+ * A rule has a scope ("ean", "tag" or "global"), an optional target store and
+ * any combination of:
+ * - percentage: share of the source stock allocated (0-100)
+ * - safetyStock: units held back
+ * - maxQuantity: cap on what the target shows
+ *
+ * The most specific rule wins: EAN, then product tag, then global; within a
+ * scope a rule naming the target store wins over one that does not.
+ */
+class AllocationRules {
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.rulesKey = 'allocation:rules';
+  }
+
+  async list() {
+    const rules = await this.redis.hVals(this.rulesKey);
+    return rules
+      .map(rule => JSON.parse(rule))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async create(input, knownStores) {
+    const rule = this.validate(input || {}, knownStores);
+    rule.id = crypto.randomUUID();
+    rule.createdAt = new Date().toISOString();
+
+    await this.redis.hSet(this.rulesKey, rule.id, JSON.stringify(rule));
+    logger.info('Allocation rule created', { ruleId: rule.id, scope: rule.scope, value: rule.value, store: rule.store || 'all' });
+    return rule;
+  }
+
+  async remove(id) {
+    const removed = await this.redis.hDel(this.rulesKey, id);
+    return removed > 0;
+  }
+
+  validate({ scope, value, store, percentage, safetyStock, maxQuantity }, knownStores = []) {
+    if (!SCOPES.includes(scope)) {
+      throw new HttpError(400, `scope must be one of: ${SCOPES.join(', ')}`);
+    }
+    if (scope !== 'global' && !value) {
+      throw new HttpError(400, `value is required for scope "${scope}"`);
+    }
+    if (store && !knownStores.includes(store)) {
+      throw new HttpError(400, `Unknown store "${store}"`);
+    }
+
+    const rule = {
+      scope,
+      value: scope === 'global' ? null : String(value),
+      store: store || null,
+      percentage: optionalNumber(percentage, 'percentage', 0, 100),
+      safetyStock: optionalNumber(safetyStock, 'safetyStock', 0) || 0,
+      maxQuantity: optionalNumber(maxQuantity, 'maxQuantity', 0)
+    };
+
+    if (rule.percentage === null && rule.safetyStock === 0 && rule.maxQuantity === null) {
+      throw new HttpError(400, 'A rule needs at least one of percentage, safetyStock or maxQuantity');
+    }
+    return rule;
+  }
+
+  /**
+   * Rule applying to a target store for one EAN; tags are the product's
+   * comma-separated Shopify tags.
+   */
+  async findRule(targetStore, ean, tags = '') {
+    const rules = await this.list();
+    const productTags = (tags || '').split(',').map(t => t.trim()).filter(Boolean);
+
+    const candidates = rules.filter(rule =>
+      (!rule.store || rule.store === targetStore) &&
+      (rule.scope === 'global' ||
+        (rule.scope === 'ean' && rule.value === ean) ||
+        (rule.scope === 'tag' && productTags.includes(rule.value)))
+    );
+
+    const rank = rule => SCOPES.indexOf(rule.scope) * 2 + (rule.store ? 0 : 1);
+    candidates.sort((a, b) => rank(a) - rank(b));
+    return candidates[0] || null;
+  }
+
+  // Quantity the target store should show for a given source quantity
+  allocate(rule, sourceQuantity) {
+    if (!rule) return sourceQuantity;
+
+    let quantity = sourceQuantity;
+    if (rule.percentage !== null) {
+      quantity = Math.floor((quantity * rule.percentage) / 100);
+    }
+    quantity -= rule.safetyStock;
+    if (rule.maxQuantity !== null) {
+      quantity = Math.min(quantity, rule.maxQuantity);
+    }
+    return Math.max(0, quantity);
+  }
+
+  /**
+   * Delta to send so that the target moves from the allocation of the old
+   * source level to the allocation of the new one.
+   */
+  allocateDelta(rule, delta, newSourceQuantity) {
+    if (!rule) return delta;
+    return this.allocate(rule, newSourceQuantity) - this.allocate(rule, newSourceQuantity - delta);
+  }
+}
+
+function optionalNumber(value, name, min, max = Infinity) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new HttpError(400, `${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+module.exports = AllocationRules;
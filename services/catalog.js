@@ -0,0 +1,344 @@
+const metrics = require('./metrics');
+const logger = require('./logger').child({ component: 'catalog' });
+
+/**
+ * Per-store index of the variants carrying the sync tag, stored as Redis hashes:
+ *
+ *   catalog:<store>:<tag>:item     inventory_item_id -> { product, variant }
+ *   catalog:<store>:<tag>:barcode  barcode           -> { product, variant }
+ *   catalog:<store>:<tag>:sku      sku               -> { product, variant }
+ *   catalog:<store>:<tag>:product  product id        -> fields owned in each index
+ *   catalog:<store>:<tag>:recent   product id        -> latest product webhook
+ *
+ * Lookups are a single HGET. The index is rebuilt in the background every
+ * refreshInterval; a rebuild writes into temporary keys that are renamed over
+ * the live ones, so readers never see a half-built catalog. In between,
+ * product webhooks update the entries of a single product through the
+ * "product" hash, which lists the fields that product owns. They are also
+ * kept in the "recent" hash for an hour: a rebuild applies again those
+ * received after it started, which its RENAME would otherwise revert.
+ */
+
+// Temporary keys of a rebuild that died before its RENAME expire after an hour
+const BUILD_KEY_TTL = 3600;
+
+// Product webhooks are kept for the rebuilds running meanwhile (seconds)
+const RECENT_CHANGES_TTL = 3600;
+
+// Secondary indexes: the first variant wins when a value is used twice
+const SECONDARY_INDEXES = {
+  barcode: variant => variant.barcode,
+  sku: variant => variant.sku
+};
+
+class Catalog {
+  constructor(stores, redisClient, { syncTag, refreshInterval = 1800 * 1000 } = {}) {
+    this.stores = stores;
+    this.redis = redisClient;
+    this.syncTag = syncTag;
+    this.refreshInterval = refreshInterval;
+    this.refreshing = new Map();
+    this.timer = null;
+  }
+
+  keys(storeName) {
+    const prefix = `catalog:${storeName}:${this.syncTag}`;
+    return {
+      item: `${prefix}:item`,
+      barcode: `${prefix}:barcode`,
+      sku: `${prefix}:sku`,
+      product: `${prefix}:product`,
+      recent: `${prefix}:recent`,
+      meta: `${prefix}:meta`
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.refreshAll();
+    this.timer = setInterval(() => this.refreshAll(), this.refreshInterval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  refreshAll() {
+    return Promise.all(this.stores.names().map(storeName =>
+      this.refresh(storeName).catch(error => {
+        logger.error('Catalog refresh failed', { store: storeName, error });
+      })
+    ));
+  }
+
+  // Concurrent callers share the same rebuild
+  refresh(storeName) {
+    if (!this.refreshing.has(storeName)) {
+      const build = this.build(storeName).finally(() => this.refreshing.delete(storeName));
+      this.refreshing.set(storeName, build);
+    }
+    return this.refreshing.get(storeName);
+  }
+
+  async build(storeName) {
+    logger.info('Indexing tagged products', { store: storeName, tag: this.syncTag });
+
+    const startedAt = Date.now();
+    const products = await this.stores.get(storeName).getProductsByTag(this.syncTag);
+
+    const indexed = { item: {}, product: {} };
+    for (const name of Object.keys(SECONDARY_INDEXES)) {
+      indexed[name] = {};
+    }
+
+    for (const product of products) {
+      const owned = this.emptyOwnership();
+      for (const variant of product.variants) {
+        const entry = JSON.stringify(this.toEntry(product, variant));
+        indexed.item[variant.inventory_item_id] = entry;
+        owned.items.push(String(variant.inventory_item_id));
+
+        for (const [name, valueOf] of Object.entries(SECONDARY_INDEXES)) {
+          const value = valueOf(variant);
+          if (value && !indexed[name][value]) {
+            indexed[name][value] = entry;
+            owned[name].push(value);
+          }
+        }
+      }
+      indexed.product[product.id] = JSON.stringify(owned);
+    }
+
+    const keys = this.keys(storeName);
+    const suffix = `:building:${Date.now()}`;
+    const indexes = Object.entries(indexed);
+    let recent;
+    try {
+      for (const [name, data] of indexes) {
+        await this.writeHash(keys[name] + suffix, data);
+        await this.redis.expire(keys[name] + suffix, BUILD_KEY_TTL);
+      }
+
+      const transaction = this.redis.multi();
+      for (const [name, data] of indexes) {
+        if (Object.keys(data).length > 0) {
+          // RENAME keeps the TTL of the temporary key
+          transaction.rename(keys[name] + suffix, keys[name]);
+          transaction.persist(keys[name]);
+        } else {
+          transaction.del(keys[name]);
+        }
+      }
+      transaction.set(keys.meta, JSON.stringify({
+        refreshedAt: new Date().toISOString(),
+        products: products.length,
+        variants: Object.keys(indexed.item).length
+      }));
+      transaction.hGetAll(keys.recent);
+      recent = (await transaction.exec()).pop();
+    } catch (error) {
+      await this.redis.del(indexes.map(([name]) => keys[name] + suffix)).catch(cleanupError => {
+        logger.warn('Could not delete the temporary catalog keys', { store: storeName, error: cleanupError });
+      });
+      throw error;
+    }
+    await this.replayRecentChanges(storeName, recent, startedAt);
+
+    logger.info('Catalog indexed', { store: storeName, variants: Object.keys(indexed.item).length, products: products.length });
+    return products.length;
+  }
+
+  async writeHash(key, data) {
+    const fields = Object.entries(data);
+    for (let i = 0; i < fields.length; i += 500) {
+      await this.redis.hSet(key, Object.fromEntries(fields.slice(i, i + 500)));
+    }
+  }
+
+  emptyOwnership() {
+    const owned = { items: [] };
+    for (const name of Object.keys(SECONDARY_INDEXES)) {
+      owned[name] = [];
+    }
+    return owned;
+  }
+
+  toEntry(product, variant) {
+    return {
+      product: { id: product.id, title: product.title, tags: product.tags },
+      variant
+    };
+  }
+
+  hasSyncTag(product) {
+    return (product.tags || '').split(',').map(t => t.trim()).includes(this.syncTag);
+  }
+
+  /**
+   * Apply a products/create or products/update payload: drop what the product
+   * owned so far, then index its current variants if it still has the tag.
+   */
+  async upsertProduct(storeName, product) {
+    await this.recordChange(storeName, product.id, { topic: 'update', product });
+    await this.applyUpsert(storeName, product);
+  }
+
+  async removeProduct(storeName, productId) {
+    await this.recordChange(storeName, productId, { topic: 'delete' });
+    await this.applyRemove(storeName, productId);
+  }
+
+  // Recorded before it is applied: a webhook applied after a rebuild's RENAME is always the newest
+  async recordChange(storeName, productId, change) {
+    const key = this.keys(storeName).recent;
+    await this.redis.multi()
+      .hSet(key, String(productId), JSON.stringify({ ...change, at: Date.now() }))
+      .expire(key, RECENT_CHANGES_TTL)
+      .exec();
+  }
+
+  // Product webhooks received since the rebuild started: its RENAME went over them
+  async replayRecentChanges(storeName, recent, since) {
+    for (const [productId, value] of Object.entries(recent)) {
+      const change = JSON.parse(value);
+      if (change.at < since) continue;
+
+      // A newer webhook arrived since the RENAME and applies itself
+      if (await this.redis.hGet(this.keys(storeName).recent, productId) !== value) continue;
+
+      logger.info('Replaying product webhook received during the rebuild', { store: storeName, productId, topic: change.topic });
+      if (change.topic === 'delete') {
+        await this.applyRemove(storeName, productId);
+      } else {
+        await this.applyUpsert(storeName, change.product);
+      }
+    }
+  }
+
+  async applyUpsert(storeName, product) {
+    if (!(await this.redis.exists(this.keys(storeName).meta))) {
+      // Not indexed yet: the initial build will include this product
+      return;
+    }
+
+    const transaction = this.redis.multi();
+    await this.unindex(storeName, product.id, transaction);
+
+    const keys = this.keys(storeName);
+    if (this.hasSyncTag(product)) {
+      const owned = this.emptyOwnership();
+      for (const variant of product.variants || []) {
+        const entry = JSON.stringify(this.toEntry(product, variant));
+        transaction.hSet(keys.item, String(variant.inventory_item_id), entry);
+        owned.items.push(String(variant.inventory_item_id));
+
+        for (const [name, valueOf] of Object.entries(SECONDARY_INDEXES)) {
+          const value = valueOf(variant);
+          if (!value || owned[name].includes(value)) continue;
+
+          // Never take over a value indexed for another product
+          const current = await this.redis.hGet(keys[name], value);
+          const currentOwner = current ? JSON.parse(current).product.id : null;
+          if (currentOwner === null || currentOwner === product.id) {
+            transaction.hSet(keys[name], value, entry);
+            owned[name].push(value);
+          }
+        }
+      }
+      transaction.hSet(keys.product, String(product.id), JSON.stringify(owned));
+      logger.info('Catalog entry updated', { store: storeName, productId: product.id, title: product.title, variants: owned.items.length });
+    } else {
+      logger.info('Product removed from catalog: no sync tag', { store: storeName, productId: product.id, tag: this.syncTag });
+    }
+
+    await transaction.exec();
+  }
+
+  async applyRemove(storeName, productId) {
+    const transaction = this.redis.multi();
+    await this.unindex(storeName, productId, transaction);
+    await transaction.exec();
+    logger.info('Product removed from catalog', { store: storeName, productId });
+  }
+
+  async unindex(storeName, productId, transaction) {
+    const keys = this.keys(storeName);
+    const owned = await this.redis.hGet(keys.product, String(productId));
+    if (!owned) return;
+
+    const fields = JSON.parse(owned);
+    for (const item of fields.items) {
+      transaction.hDel(keys.item, item);
+    }
+    for (const name of Object.keys(SECONDARY_INDEXES)) {
+      for (const value of fields[name] || []) {
+        transaction.hDel(keys[name], value);
+      }
+    }
+    transaction.hDel(keys.product, String(productId));
+  }
+
+  async ensureIndexed(storeName) {
+    // Only the very first lookup of a store waits for the catalog to load
+    if (!(await this.redis.exists(this.keys(storeName).meta))) {
+      await this.refresh(storeName);
+    }
+  }
+
+  async lookup(storeName, index, value) {
+    await this.ensureIndexed(storeName);
+    const entry = await this.redis.hGet(this.keys(storeName)[index], String(value));
+    metrics.catalogLookups.inc({ store: storeName, index, result: entry ? 'hit' : 'miss' });
+    return entry ? JSON.parse(entry) : null;
+  }
+
+  findByInventoryItem(storeName, inventoryItemId) {
+    return this.lookup(storeName, 'item', inventoryItemId);
+  }
+
+  findByBarcode(storeName, ean) {
+    return this.lookup(storeName, 'barcode', ean);
+  }
+
+  findBySku(storeName, sku) {
+    return this.lookup(storeName, 'sku', sku);
+  }
+
+  // Order line items carry product and variant ids: the product's own entries are searched
+  async findByProductVariant(storeName, productId, variantId) {
+    await this.ensureIndexed(storeName);
+    const keys = this.keys(storeName);
+    const owned = await this.redis.hGet(keys.product, String(productId));
+    const items = owned ? JSON.parse(owned).items : [];
+
+    const entries = items.length > 0 ? await this.redis.hmGet(keys.item, items) : [];
+    const entry = entries
+      .filter(Boolean)
+      .map(value => JSON.parse(value))
+      .find(candidate => String(candidate.variant.id) === String(variantId));
+
+    metrics.catalogLookups.inc({ store: storeName, index: 'product', result: entry ? 'hit' : 'miss' });
+    return entry || null;
+  }
+
+  // Every indexed variant of a store: meant for admin tools, not the webhook path
+  async all(storeName) {
+    await this.ensureIndexed(storeName);
+    const entries = await this.redis.hVals(this.keys(storeName).item);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  async findByVariantId(storeName, variantId) {
+    const entries = await this.all(storeName);
+    return entries.find(entry => String(entry.variant.id) === String(variantId)) || null;
+  }
+
+  async getMeta(storeName) {
+    const meta = await this.redis.get(this.keys(storeName).meta);
+    return meta ? JSON.parse(meta) : null;
+  }
+}
+
+module.exports = Catalog;
@@ -0,0 +1,37 @@
+/**
+ * Combine the inventory changes received for one EAN during a debounce window.
+ *
+ * An operation is either { type: 'delta', delta, available } when the previous
+ * level was known, or { type: 'full', available } when it was not. Deltas are
+ * added up so that every sale of the window reaches the other store; as soon
+ * as a full sync is involved the latest absolute level wins, since it already
+ * includes every change before it.
+ */
+function mergeSyncOperations(pending, incoming) {
+  if (!pending) {
+    return { ...incoming, events: 1 };
+  }
+
+  const events = (pending.events || 1) + 1;
+
+  if (incoming.type === 'full' || pending.type === 'full') {
+    const { delta, ...latest } = incoming;
+    return { ...latest, type: 'full', events };
+  }
+
+  return {
+    ...incoming,
+    type: 'delta',
+    delta: pending.delta + incoming.delta,
+    events
+  };
+}
+
+/**
+ * Fold a whole burst of operations, mostly useful for previews and tests.
+ */
+function coalesce(operations) {
+  return operations.reduce((pending, operation) => mergeSyncOperations(pending, operation), null);
+}
+
+module.exports = { mergeSyncOperations, coalesce };
@@ -0,0 +1,57 @@
+/**
+ * Sync operations that could not be applied, kept with everything needed to
+ * replay them: source, target, EAN, delta or absolute value and attempt count.
+ */
+class DeadLetterQueue {
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.entriesKey = 'sync:dead:entries';
+    this.indexKey = 'sync:dead:index';
+  }
+
+  async add(operation, error) {
+    const entry = {
+      id: operation.id,
+      operation,
+      attempts: operation.attempts,
+      error: error.message,
+      status: error.status || null,
+      failedAt: new Date().toISOString()
+    };
+
+    await this.redis.multi()
+      .hSet(this.entriesKey, entry.id, JSON.stringify(entry))
+      .zAdd(this.indexKey, { score: Date.now(), value: entry.id })
+      .exec();
+
+    return entry;
+  }
+
+  // Most recent failures first
+  async list(limit = 100) {
+    const ids = await this.redis.zRange(this.indexKey, 0, limit - 1, { REV: true });
+    if (ids.length === 0) return [];
+
+    const entries = await this.redis.hmGet(this.entriesKey, ids);
+    return entries.filter(Boolean).map(entry => JSON.parse(entry));
+  }
+
+  async get(id) {
+    const entry = await this.redis.hGet(this.entriesKey, id);
+    return entry ? JSON.parse(entry) : null;
+  }
+
+  async remove(id) {
+    const [removed] = await this.redis.multi()
+      .hDel(this.entriesKey, id)
+      .zRem(this.indexKey, id)
+      .exec();
+    return removed > 0;
+  }
+
+  async count() {
+    return this.redis.zCard(this.indexKey);
+  }
+}
+
+module.exports = DeadLetterQueue;
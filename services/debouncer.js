@@ -0,0 +1,103 @@
+const logger = require('./logger').child({ component: 'debouncer' });
+
+/**
+ * Redis-backed debounce windows.
+ *
+ * Each key keeps the job to run and the time its window closes. Scheduling the
+ * same key again pushes the deadline back, exactly like clearTimeout() +
+ * setTimeout(), and replaces or merges the pending job. Due jobs are handed over to the job queue in
+ * a single MULTI, so a restart never loses an open window.
+ */
+class Debouncer {
+  constructor(redisClient, queue, { delay = 2000, pollInterval = 250 } = {}) {
+    this.redis = redisClient;
+    this.queue = queue;
+    this.delay = delay;
+    this.pollInterval = pollInterval;
+    this.dueKey = 'sync:debounce:due';
+    this.jobsKey = 'sync:debounce:jobs';
+    this.running = false;
+    this.loop = null;
+
+    // schedule() and flushDue() read then write the same keys: run them one at a time
+    this.chain = Promise.resolve();
+  }
+
+  serialize(task) {
+    const result = this.chain.then(task);
+    this.chain = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Open or extend the window of a key. Without merge the new job replaces the
+   * pending one; with merge(pendingData, data) both are combined instead.
+   */
+  schedule(key, type, data, merge = null) {
+    return this.serialize(async () => {
+      if (merge) {
+        const payload = await this.redis.hGet(this.jobsKey, key);
+        const pending = payload ? JSON.parse(payload) : null;
+        data = merge(pending && pending.type === type ? pending.data : null, data);
+      }
+
+      // The job runs under the correlation id of the latest event of the window
+      const correlationId = logger.correlationId();
+      await this.redis.multi()
+        .hSet(this.jobsKey, key, JSON.stringify({ type, data, correlationId }))
+        .zAdd(this.dueKey, { score: Date.now() + this.delay, value: key })
+        .exec();
+    });
+  }
+
+  flushDue() {
+    return this.serialize(async () => {
+      const dueKeys = await this.redis.zRangeByScore(this.dueKey, 0, Date.now());
+
+      for (const key of dueKeys) {
+        const payload = await this.redis.hGet(this.jobsKey, key);
+        const transaction = this.redis.multi()
+          .zRem(this.dueKey, key)
+          .hDel(this.jobsKey, key);
+
+        if (payload) {
+          const { type, data, correlationId } = JSON.parse(payload);
+          transaction.lPush(this.queue.pendingKey, this.queue.serialize(type, data, correlationId));
+        }
+
+        await transaction.exec();
+      }
+
+      return dueKeys.length;
+    });
+  }
+
+  async pendingCount() {
+    return this.redis.zCard(this.dueKey);
+  }
+
+  start() {
+    if (this.running) return;
+
+    // Windows left open by a previous process are simply picked up here
+    this.running = true;
+    this.loop = (async () => {
+      while (this.running) {
+        try {
+          await this.flushDue();
+        } catch (error) {
+          logger.error('Debouncer could not flush due jobs', { error });
+        }
+        await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      }
+    })();
+  }
+
+  async stop() {
+    this.running = false;
+    await this.loop;
+    this.loop = null;
+  }
+}
+
+module.exports = Debouncer;
@@ -0,0 +1,74 @@
+const logger = require('./logger').child({ component: 'dry-run' });
+
+/**
+ * Shadow mode: syncs are computed as usual but the writes to a store in dry
+ * run are only recorded, never sent to Shopify.
+ *
+ * The switches live in Redis so they can be flipped at runtime and survive a
+ * restart; DRY_RUN=true only sets the global default.
+ */
+class DryRunMode {
+  constructor(redisClient, { enabled = false, maxEntries = 1000 } = {}) {
+    this.redis = redisClient;
+    this.defaultEnabled = enabled;
+    this.maxEntries = maxEntries;
+    this.globalKey = 'dryrun:global';
+    this.storesKey = 'dryrun:stores';
+    this.logKey = 'dryrun:log';
+  }
+
+  async isGlobalEnabled() {
+    const value = await this.redis.get(this.globalKey);
+    return value === null ? this.defaultEnabled : value === '1';
+  }
+
+  async isEnabled(storeName) {
+    if (await this.isGlobalEnabled()) return true;
+    return Boolean(await this.redis.sIsMember(this.storesKey, storeName));
+  }
+
+  async setGlobal(enabled) {
+    await this.redis.set(this.globalKey, enabled ? '1' : '0');
+    logger.info(`Dry-run ${enabled ? 'enabled' : 'disabled'} globally`);
+  }
+
+  async setStore(storeName, enabled) {
+    if (enabled) {
+      await this.redis.sAdd(this.storesKey, storeName);
+    } else {
+      await this.redis.sRem(this.storesKey, storeName);
+    }
+    logger.info(`Dry-run ${enabled ? 'enabled' : 'disabled'} for a store`, { store: storeName });
+  }
+
+  async getState() {
+    return {
+      global: await this.isGlobalEnabled(),
+      stores: await this.redis.sMembers(this.storesKey)
+    };
+  }
+
+  // Keep the latest maxEntries would-be writes, newest first
+  async record(write) {
+    const entry = { ...write, timestamp: new Date().toISOString() };
+    await this.redis.multi()
+      .lPush(this.logKey, JSON.stringify(entry))
+      .lTrim(this.logKey, 0, this.maxEntries - 1)
+      .exec();
+    return entry;
+  }
+
+  async list({ limit = 100, store = null, ean = null } = {}) {
+    const entries = await this.redis.lRange(this.logKey, 0, this.maxEntries - 1);
+    return entries
+      .map(entry => JSON.parse(entry))
+      .filter(entry => (!store || entry.targetStore === store) && (!ean || entry.ean === ean))
+      .slice(0, limit);
+  }
+
+  async clear() {
+    await this.redis.del(this.logKey);
+  }
+}
+
+module.exports = DryRunMode;
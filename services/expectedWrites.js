@@ -0,0 +1,42 @@
+/**
+ * Inventory levels this service expects Shopify to echo back after its own writes.
+ *
+ * Each write records the level it should leave before it is sent, so the echo
+ * cannot be processed first, and takes it back if the write fails. The
+ * inventory_levels/update webhook carrying that value is consumed once and
+ * ignored; any other value for the same item is a real change and syncs normally.
+ * A write leaving the level unchanged records nothing: Shopify sends no
+ * webhook for it, and the leftover would swallow a real change to that value.
+ * Expectations are kept per location: the same item is stocked in every pair.
+ */
+class ExpectedWrites {
+  constructor(redisClient, { ttl = 60 } = {}) {
+    this.redis = redisClient;
+    this.ttl = ttl;
+  }
+
+  key(storeName, locationId, inventoryItemId) {
+    return `sync:expect:${storeName}:${locationId}:${inventoryItemId}`;
+  }
+
+  async record(storeName, locationId, inventoryItemId, level) {
+    const key = this.key(storeName, locationId, inventoryItemId);
+    await this.redis.multi()
+      .rPush(key, String(level))
+      .expire(key, this.ttl)
+      .exec();
+  }
+
+  // Take back one expectation of a write that failed or left another level
+  async remove(storeName, locationId, inventoryItemId, level) {
+    await this.redis.lRem(this.key(storeName, locationId, inventoryItemId), 1, String(level));
+  }
+
+  // true when the level was expected: the webhook is our own echo
+  async consume(storeName, locationId, inventoryItemId, level) {
+    const removed = await this.redis.lRem(this.key(storeName, locationId, inventoryItemId), 1, String(level));
+    return removed > 0;
+  }
+}
+
+module.exports = ExpectedWrites;
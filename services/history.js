@@ -0,0 +1,156 @@
+const logger = require('./logger');
+
+const FIELDS = ['type', 'ean', 'sourceStore', 'targetStore', 'pair', 'value', 'error', 'correlationId', 'details'];
+const TYPES = ['delta', 'full', 'reconcile', 'error'];
+
+// CSV exports leave the raw details out: one flat row per event
+const CSV_COLUMNS = ['id', 'timestamp', ...FIELDS.filter(field => field !== 'details')];
+
+// Entries read per XRANGE call, and per request at most, while filtering
+const BATCH_SIZE = 500;
+const MAX_SCANNED = 20000;
+// An export goes on page after page, up to this many entries read in all
+const MAX_EXPORT_SCANNED = 200000;
+
+// Stream ids, as returned in nextCursor: "<ms>-<sequence>"
+const CURSOR_PATTERN = /^\d+-\d+$/;
+
+/**
+ * Sync history kept in a Redis Stream, capped to roughly maxLength entries.
+ *
+ * Each entry is a flat map of strings: the event type ("delta", "full",
+ * "reconcile" or "error"), the EAN, both stores, the location pair, the value
+ * written or the error message, and the correlation id of the webhook that
+ * caused it. Stream ids start with the entry's timestamp in ms, so time ranges
+ * are id ranges and the id of the last entry returned is the page cursor.
+ */
+class SyncHistory {
+  constructor(redisClient, { maxLength = 100000 } = {}) {
+    this.redis = redisClient;
+    this.maxLength = maxLength;
+    this.key = 'sync:history';
+  }
+
+  async add(event) {
+    const message = {};
+    for (const field of FIELDS) {
+      const value = field === 'correlationId' ? event.correlationId || logger.correlationId() : event[field];
+      if (value === undefined || value === null) continue;
+      message[field] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    return this.redis.xAdd(this.key, '*', message, {
+      TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.maxLength }
+    });
+  }
+
+  /**
+   * One page of entries matching the filters, newest first unless order is
+   * "asc". Pass the returned cursor back to get the next page; it is null once
+   * the range is exhausted. A page may hold fewer than limit entries when the
+   * filters are very selective.
+   */
+  async query(filters = {}) {
+    const { entries, nextCursor } = await this.scan(filters, MAX_SCANNED);
+    return { entries, nextCursor };
+  }
+
+  async scan({ ean, store, type, from, to, cursor, limit = 50, order = 'desc' }, maxScanned) {
+    const descending = order !== 'asc';
+    let low = from ? String(from) : '-';
+    let high = to ? String(to) : '+';
+    if (cursor) {
+      if (descending) high = `(${cursor}`;
+      else low = `(${cursor}`;
+    }
+
+    const entries = [];
+    let scanned = 0;
+    let lastId = null;
+
+    while (entries.length < limit && scanned < maxScanned) {
+      const batch = descending
+        ? await this.redis.xRevRange(this.key, high, low, { COUNT: BATCH_SIZE })
+        : await this.redis.xRange(this.key, low, high, { COUNT: BATCH_SIZE });
+
+      for (const { id, message } of batch) {
+        scanned++;
+        lastId = id;
+        if (this.matches(message, { ean, store, type })) {
+          entries.push(this.toEntry(id, message));
+          if (entries.length === limit) break;
+        }
+      }
+
+      if (batch.length < BATCH_SIZE && entries.length < limit) {
+        return { entries, nextCursor: null, scanned };
+      }
+      if (descending) high = `(${lastId}`;
+      else low = `(${lastId}`;
+    }
+
+    return { entries, nextCursor: lastId, scanned };
+  }
+
+  /**
+   * Every matching entry, page after page, for exports. A selective filter
+   * over a long range stops after MAX_EXPORT_SCANNED entries read: onLimit
+   * then gets the cursor to go on from.
+   */
+  async *iterate(filters, { onLimit = () => {} } = {}) {
+    let cursor = filters.cursor || null;
+    let budget = MAX_EXPORT_SCANNED;
+    do {
+      const page = await this.scan({ ...filters, cursor, limit: BATCH_SIZE }, Math.min(budget, MAX_SCANNED));
+      yield* page.entries;
+      cursor = page.nextCursor;
+      budget -= page.scanned;
+    } while (cursor && budget > 0);
+
+    if (cursor) onLimit(cursor);
+  }
+
+  static isCursor(value) {
+    return CURSOR_PATTERN.test(value);
+  }
+
+  matches(message, { ean, store, type }) {
+    if (ean && message.ean !== ean) return false;
+    if (store && message.sourceStore !== store && message.targetStore !== store) return false;
+    if (type && message.type !== type) return false;
+    return true;
+  }
+
+  toEntry(id, message) {
+    const entry = { id, timestamp: new Date(parseInt(id.split('-')[0])).toISOString() };
+    for (const field of FIELDS) {
+      if (message[field] === undefined) continue;
+      if (field === 'details') {
+        entry.details = JSON.parse(message.details);
+      } else if (field === 'value') {
+        entry.value = Number(message.value);
+      } else {
+        entry[field] = message[field];
+      }
+    }
+    return entry;
+  }
+
+  csvHeader() {
+    return `${CSV_COLUMNS.join(',')}\n`;
+  }
+
+  toCsvRow(entry) {
+    return `${CSV_COLUMNS.map(column => csvValue(entry[column])).join(',')}\n`;
+  }
+}
+
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+SyncHistory.TYPES = TYPES;
+
+module.exports = SyncHistory;
@@ -0,0 +1,10 @@
+// Raised for a request the caller must fix: routes answer with its status
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const logger = require('./logger').child({ component: 'queue' });
+
+/**
+ * Persistent job queue stored in Redis lists.
+ *
+ * Workers move a job atomically from the pending list to the processing list
+ * and remove it once its handler has finished. Anything still sitting in the
+ * processing list at startup was interrupted by a restart or a redeploy, so
+ * recover() puts it back at the head of the pending list.
+ *
+ * Delayed jobs wait in a sorted set scored by due time until a worker moves
+ * them to the pending list.
+ *
+ * A job keeps the correlation id it was enqueued with, and its handler runs
+ * under that id: logs of a webhook and of the jobs it leads to share it.
+ */
+class JobQueue {
+  constructor(redisClient, { name = 'jobs', concurrency = 5, pollInterval = 500 } = {}) {
+    this.redis = redisClient;
+    this.name = name;
+    this.pendingKey = `queue:${name}:pending`;
+    this.processingKey = `queue:${name}:processing`;
+    this.delayedKey = `queue:${name}:delayed`;
+    this.concurrency = concurrency;
+    this.pollInterval = pollInterval;
+    this.handlers = new Map();
+    this.running = false;
+    this.workers = [];
+  }
+
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  serialize(type, data, correlationId = logger.correlationId()) {
+    return JSON.stringify({
+      id: crypto.randomUUID(),
+      type,
+      data,
+      correlationId,
+      enqueuedAt: new Date().toISOString()
+    });
+  }
+
+  async enqueue(type, data, { delay = 0 } = {}) {
+    const job = this.serialize(type, data);
+
+    if (delay > 0) {
+      await this.redis.zAdd(this.delayedKey, { score: Date.now() + delay, value: job });
+      return;
+    }
+
+    await this.redis.lPush(this.pendingKey, job);
+  }
+
+  async promoteDelayed() {
+    const dueJobs = await this.redis.zRangeByScore(this.delayedKey, 0, Date.now());
+
+    for (const job of dueJobs) {
+      await this.redis.multi()
+        .zRem(this.delayedKey, job)
+        .lPush(this.pendingKey, job)
+        .exec();
+    }
+
+    return dueJobs.length;
+  }
+
+  async recover() {
+    // Newest interrupted job first, each one pushed to the consuming end:
+    // the oldest ends up being processed first
+    let recovered = 0;
+    while (await this.redis.lMove(this.processingKey, this.pendingKey, 'LEFT', 'RIGHT')) {
+      recovered++;
+    }
+
+    if (recovered > 0) {
+      logger.info('Recovered interrupted jobs', { queue: this.name, recovered });
+    }
+    return recovered;
+  }
+
+  async start() {
+    if (this.running) return;
+
+    await this.recover();
+    this.running = true;
+    for (let i = 0; i < this.concurrency; i++) {
+      this.workers.push(this.work());
+    }
+    this.workers.push(this.schedule());
+  }
+
+  async stop() {
+    // Let the jobs in progress finish, the rest stays in Redis
+    this.running = false;
+    await Promise.all(this.workers);
+    this.workers = [];
+  }
+
+  async work() {
+    while (this.running) {
+      let raw;
+      try {
+        raw = await this.redis.lMove(this.pendingKey, this.processingKey, 'RIGHT', 'LEFT');
+      } catch (error) {
+        logger.error('Queue could not fetch a job', { queue: this.name, error });
+        await this.sleep(this.pollInterval);
+        continue;
+      }
+
+      if (!raw) {
+        await this.sleep(this.pollInterval);
+        continue;
+      }
+
+      await this.process(raw);
+    }
+  }
+
+  async schedule() {
+    while (this.running) {
+      try {
+        await this.promoteDelayed();
+      } catch (error) {
+        logger.error('Queue could not promote delayed jobs', { queue: this.name, error });
+      }
+      await this.sleep(this.pollInterval);
+    }
+  }
+
+  async process(raw) {
+    try {
+      const job = JSON.parse(raw);
+      const handler = this.handlers.get(job.type);
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+      await logger.withCorrelation(job.correlationId || job.id, () => handler(job.data, job));
+    } catch (error) {
+      logger.error('Job failed', { queue: this.name, error });
+    } finally {
+      await this.redis.lRem(this.processingKey, 1, raw);
+    }
+  }
+
+  async size() {
+    const [pending, processing, delayed] = await Promise.all([
+      this.redis.lLen(this.pendingKey),
+      this.redis.lLen(this.processingKey),
+      this.redis.zCard(this.delayedKey)
+    ]);
+    return { pending, processing, delayed };
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,108 @@
+/**
+ * Location pairs: the locations whose stock is kept equal across stores.
+ *
+ * Pairs are configured by location name and resolved to ids once at startup
+ * through ShopifyService.getLocationByName. A webhook is synced only when its
+ * location belongs to a pair, and only to the other locations of that pair.
+ */
+class LocationPairs {
+  constructor(pairs, { legacyLocationNames = {} } = {}) {
+    // { name, locationNames: { store: name }, locations: { store: { id, name } } }
+    this.pairs = pairs.map(pair => ({ name: pair.name, locationNames: pair.locations, locations: {} }));
+    this.byLocation = new Map();
+    // store -> location synced before location pairs existed (its locationName)
+    this.legacyLocationNames = legacyLocationNames;
+  }
+
+  /**
+   * Look every configured location up in its store. All problems are
+   * collected so a misconfigured deploy reports them at once.
+   */
+  async resolve(stores) {
+    const problems = [];
+    const byLocation = new Map();
+
+    for (const pair of this.pairs) {
+      for (const [storeName, locationName] of Object.entries(pair.locationNames)) {
+        try {
+          const location = await stores.get(storeName).getLocationByName(locationName);
+          const key = this.key(storeName, location.id);
+
+          if (byLocation.has(key)) {
+            problems.push(`Location "${locationName}" in ${storeName} is used by pairs "${byLocation.get(key).name}" and "${pair.name}"`);
+            continue;
+          }
+          pair.locations[storeName] = { id: String(location.id), name: location.name };
+          byLocation.set(key, pair);
+        } catch (error) {
+          problems.push(`${error.message} (pair "${pair.name}")`);
+        }
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Could not resolve location pairs:\n  - ${problems.join('\n  - ')}`);
+    }
+    this.byLocation = byLocation;
+  }
+
+  key(storeName, locationId) {
+    return `${storeName}:${locationId}`;
+  }
+
+  all() {
+    return this.pairs;
+  }
+
+  names() {
+    return this.pairs.map(pair => pair.name);
+  }
+
+  has(name) {
+    return this.pairs.some(pair => pair.name === name);
+  }
+
+  // Operations queued before pairs existed carry no name: they belong to the first pair
+  get(name = this.pairs[0].name) {
+    const pair = this.pairs.find(candidate => candidate.name === name);
+    if (!pair) {
+      throw new Error(`Unknown location pair "${name}"`);
+    }
+    return pair;
+  }
+
+  // Pair the location of a webhook belongs to, or null when it is not synced
+  forLocation(storeName, locationId) {
+    return this.byLocation.get(this.key(storeName, locationId)) || null;
+  }
+
+  // Pairs with a location in this store
+  forStore(storeName) {
+    return this.pairs.filter(pair => pair.locations[storeName]);
+  }
+
+  stores(pair) {
+    return Object.keys(pair.locations);
+  }
+
+  // Every store that must receive a change made at storeName's location of the pair
+  others(pair, storeName) {
+    return this.stores(pair).filter(name => name !== storeName);
+  }
+
+  // Whether this is the location each store synced before location pairs existed
+  isLegacyLocation(storeName, locationId) {
+    const pair = this.forLocation(storeName, locationId);
+    return Boolean(pair) && pair.locations[storeName].name === this.legacyLocationNames[storeName];
+  }
+
+  locationId(pair, storeName) {
+    const location = pair.locations[storeName];
+    if (!location) {
+      throw new Error(`Store "${storeName}" has no location in pair "${pair.name}"`);
+    }
+    return parseInt(location.id);
+  }
+}
+
+module.exports = LocationPairs;
@@ -0,0 +1,95 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Correlation id of the webhook (or job, or run) being handled, carried
+// across every await without passing it around
+const context = new AsyncLocalStorage();
+
+let threshold = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+
+/**
+ * JSON-lines logger. Each line holds the time, level, message, the current
+ * correlation id, the bindings of the logger and the fields of the call:
+ *
+ *   {"time":"...","level":"info","msg":"Delta synced","correlationId":"...","component":"sync","ean":"..."}
+ *
+ * Error values are serialized with their message, status and stack.
+ */
+class Logger {
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  // Run fn with this correlation id; everything it awaits logs with it
+  withCorrelation(correlationId, fn) {
+    return context.run({ correlationId }, fn);
+  }
+
+  correlationId() {
+    const store = context.getStore();
+    return store ? store.correlationId : null;
+  }
+
+  // Applies to every logger of the process
+  setLevel(level) {
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level "${level}" (${Object.keys(LEVELS).join(', ')})`);
+    }
+    threshold = LEVELS[level];
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= threshold;
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const store = context.getStore();
+    const line = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...(store ? { correlationId: store.correlationId } : {}),
+      ...this.bindings
+    };
+    for (const [name, value] of Object.entries(fields)) {
+      line[name] = value instanceof Error ? serializeError(value) : value;
+    }
+
+    const stream = LEVELS[level] >= LEVELS.error ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(line)}\n`);
+  }
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.status ? { status: error.status } : {}),
+    stack: error.stack
+  };
+}
+
+module.exports = new Logger();
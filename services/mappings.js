@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const HttpError = require('./httpError');
+const logger = require('./logger').child({ component: 'mappings' });
+
+/**
+ * Explicit links between variants of different stores, for products whose
+ * barcodes are missing or differ from one shop to another.
+ *
+ *   mapping:entries        mapping id        -> { id, variants: { <store>: {...} } }
+ *   mapping:index:<store>  inventory_item_id -> mapping id
+ *
+ * A mapping always wins over barcode or SKU matching.
+ */
+class ProductMappings {
+  constructor(stores, redisClient, catalog) {
+    this.stores = stores;
+    this.redis = redisClient;
+    this.catalog = catalog;
+    this.entriesKey = 'mapping:entries';
+  }
+
+  indexKey(storeName) {
+    return `mapping:index:${storeName}`;
+  }
+
+  async list() {
+    const entries = await this.redis.hVals(this.entriesKey);
+    return entries
+      .map(entry => JSON.parse(entry))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async get(id) {
+    const entry = await this.redis.hGet(this.entriesKey, id);
+    return entry ? JSON.parse(entry) : null;
+  }
+
+  async findByInventoryItem(storeName, inventoryItemId) {
+    const id = await this.redis.hGet(this.indexKey(storeName), String(inventoryItemId));
+    return id ? this.get(id) : null;
+  }
+
+  /**
+   * variantIds: { <store>: <variant id>, ... } with at least two stores.
+   */
+  async create(variantIds) {
+    const storeNames = Object.keys(variantIds || {});
+    if (storeNames.length < 2) {
+      throw new HttpError(400, 'A mapping needs variants from at least two stores');
+    }
+
+    const variants = {};
+    for (const storeName of storeNames) {
+      if (!this.stores.has(storeName)) {
+        throw new HttpError(400, `Unknown store "${storeName}"`);
+      }
+
+      const entry = await this.catalog.findByVariantId(storeName, variantIds[storeName]);
+      if (!entry) {
+        throw new HttpError(404, `Variant ${variantIds[storeName]} not found in ${storeName} (is it tagged for sync?)`);
+      }
+
+      const existing = await this.findByInventoryItem(storeName, entry.variant.inventory_item_id);
+      if (existing) {
+        throw new HttpError(409, `Variant ${variantIds[storeName]} of ${storeName} is already mapped (${existing.id})`);
+      }
+
+      variants[storeName] = this.describe(entry);
+    }
+
+    const mapping = { id: crypto.randomUUID(), variants, createdAt: new Date().toISOString() };
+
+    const transaction = this.redis.multi().hSet(this.entriesKey, mapping.id, JSON.stringify(mapping));
+    for (const [storeName, variant] of Object.entries(variants)) {
+      transaction.hSet(this.indexKey(storeName), String(variant.inventoryItemId), mapping.id);
+    }
+    await transaction.exec();
+
+    logger.info('Mapping created', {
+      mappingId: mapping.id,
+      variants: Object.fromEntries(storeNames.map(name => [name, variants[name].variantId]))
+    });
+    return mapping;
+  }
+
+  async remove(id) {
+    const mapping = await this.get(id);
+    if (!mapping) return false;
+
+    const transaction = this.redis.multi().hDel(this.entriesKey, id);
+    for (const [storeName, variant] of Object.entries(mapping.variants)) {
+      transaction.hDel(this.indexKey(storeName), String(variant.inventoryItemId));
+    }
+    await transaction.exec();
+
+    logger.info('Mapping deleted', { mappingId: id });
+    return true;
+  }
+
+  /**
+   * Propose links between the variants of two stores that match neither by
+   * barcode nor by an existing mapping: same SKU first, then similar titles.
+   */
+  async suggest(fromStore, toStore, { limit = 50, minScore = 0.6 } = {}) {
+    const [fromEntries, toEntries] = await Promise.all([
+      this.unmatched(fromStore, toStore),
+      this.unmatched(toStore, fromStore)
+    ]);
+
+    const suggestions = [];
+    for (const from of fromEntries) {
+      let best = null;
+      for (const to of toEntries) {
+        const match = this.score(from, to);
+        if (match.score >= minScore && (!best || match.score > best.score)) {
+          best = { ...match, to };
+        }
+      }
+
+      if (best) {
+        suggestions.push({
+          score: Math.round(best.score * 100) / 100,
+          reason: best.reason,
+          variants: {
+            [fromStore]: this.describe(from),
+            [toStore]: this.describe(best.to)
+          }
+        });
+      }
+    }
+
+    return suggestions
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  async unmatched(storeName, otherStore) {
+    const [entries, others, mappedItems] = await Promise.all([
+      this.catalog.all(storeName),
+      this.catalog.all(otherStore),
+      this.redis.hKeys(this.indexKey(storeName))
+    ]);
+
+    const otherBarcodes = new Set(others.map(entry => entry.variant.barcode).filter(Boolean));
+    const mapped = new Set(mappedItems);
+
+    return entries.filter(entry =>
+      !mapped.has(String(entry.variant.inventory_item_id)) &&
+      !(entry.variant.barcode && otherBarcodes.has(entry.variant.barcode))
+    );
+  }
+
+  score(a, b) {
+    const skuA = normalize(a.variant.sku);
+    if (skuA && skuA === normalize(b.variant.sku)) {
+      return { score: 1, reason: 'sku' };
+    }
+    return { score: diceCoefficient(fullTitle(a), fullTitle(b)), reason: 'title' };
+  }
+
+  describe(entry) {
+    return {
+      variantId: entry.variant.id,
+      inventoryItemId: entry.variant.inventory_item_id,
+      title: fullTitle(entry),
+      sku: entry.variant.sku || null,
+      barcode: entry.variant.barcode || null
+    };
+  }
+}
+
+function normalize(value) {
+  return (value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function fullTitle(entry) {
+  const variantTitle = entry.variant.title && entry.variant.title !== 'Default Title' ? ` - ${entry.variant.title}` : '';
+  return `${entry.product.title}${variantTitle}`;
+}
+
+// Similarity of two strings from their shared character pairs (0 to 1)
+function diceCoefficient(a, b) {
+  const x = normalize(a);
+  const y = normalize(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+
+  const pairs = new Map();
+  for (let i = 0; i < x.length - 1; i++) {
+    const pair = x.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < y.length - 1; i++) {
+    const pair = y.slice(i, i + 2);
+    const count = pairs.get(pair) || 0;
+    if (count > 0) {
+      pairs.set(pair, count - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (x.length + y.length - 2);
+}
+
+module.exports = ProductMappings;
@@ -0,0 +1,112 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics, shared by the whole process and served on /metrics.
+ *
+ * Labels only take values we control (configured store names, fixed reasons
+ * and statuses): anything coming from a request body would let a caller
+ * create unbounded series.
+ */
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'ensovo_' });
+
+const webhooksReceived = new client.Counter({
+  name: 'ensovo_webhooks_received_total',
+  help: 'Webhooks received, before any verification',
+  labelNames: ['store', 'kind'],
+  registers: [registry]
+});
+
+const webhooksVerified = new client.Counter({
+  name: 'ensovo_webhooks_verified_total',
+  help: 'Webhooks whose HMAC signature is valid',
+  labelNames: ['store', 'kind'],
+  registers: [registry]
+});
+
+const webhooksRejected = new client.Counter({
+  name: 'ensovo_webhooks_rejected_total',
+  help: 'Webhooks refused: unknown_store, invalid_hmac or invalid_json',
+  labelNames: ['store', 'kind', 'reason'],
+  registers: [registry]
+});
+
+const webhooksSkipped = new client.Counter({
+  name: 'ensovo_webhooks_skipped_total',
+  help: 'Webhooks acknowledged without syncing anything, by reason',
+  labelNames: ['store', 'reason'],
+  registers: [registry]
+});
+
+const syncOperations = new client.Counter({
+  name: 'ensovo_sync_operations_total',
+  help: 'Writes to target stores by store pair, type (delta/full) and outcome',
+  labelNames: ['source_store', 'target_store', 'type', 'status'],
+  registers: [registry]
+});
+
+const shopifyRequestDuration = new client.Histogram({
+  name: 'ensovo_shopify_request_duration_seconds',
+  help: 'Latency of Shopify Admin API calls',
+  labelNames: ['store', 'api', 'status'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+const shopifyThrottled = new client.Counter({
+  name: 'ensovo_shopify_throttled_total',
+  help: 'Shopify calls retried after a 429 or a THROTTLED GraphQL error',
+  labelNames: ['store', 'api'],
+  registers: [registry]
+});
+
+const catalogLookups = new client.Counter({
+  name: 'ensovo_catalog_lookups_total',
+  help: 'Product catalog lookups, by index and result (hit/miss)',
+  labelNames: ['store', 'index', 'result'],
+  registers: [registry]
+});
+
+// Queue gauges are read from Redis when Prometheus scrapes
+let queueSource = null;
+
+new client.Gauge({
+  name: 'ensovo_queue_jobs',
+  help: 'Jobs in the sync queue, by state (pending, processing, delayed)',
+  labelNames: ['state'],
+  registers: [registry],
+  async collect() {
+    if (!queueSource) return;
+    const sizes = await queueSource.queue.size();
+    for (const [state, count] of Object.entries(sizes)) {
+      this.set({ state }, count);
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'ensovo_debounce_pending',
+  help: 'Syncs waiting for their debounce window to close',
+  registers: [registry],
+  async collect() {
+    if (!queueSource) return;
+    this.set(await queueSource.debouncer.pendingCount());
+  }
+});
+
+function watchQueue(queue, debouncer) {
+  queueSource = { queue, debouncer };
+}
+
+module.exports = {
+  registry,
+  webhooksReceived,
+  webhooksVerified,
+  webhooksRejected,
+  webhooksSkipped,
+  syncOperations,
+  shopifyRequestDuration,
+  shopifyThrottled,
+  catalogLookups,
+  watchQueue
+};
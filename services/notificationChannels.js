@@ -0,0 +1,59 @@
+const nodemailer = require('nodemailer');
+
+// A notification must never hold a sync for long
+const SEND_TIMEOUT = 10000;
+
+/**
+ * Generic HTTP webhook. The payload follows Slack's incoming webhooks
+ * ({ "text": "..." } with *bold* markup), which most chat tools accept.
+ */
+class WebhookChannel {
+  constructor({ url }) {
+    this.name = 'webhook';
+    this.url = url;
+  }
+
+  async send({ subject, lines }) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: [`*${subject}*`, ...lines].join('\n') }),
+      signal: AbortSignal.timeout(SEND_TIMEOUT)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Notification webhook answered ${response.status}: ${await response.text()}`);
+    }
+  }
+}
+
+class EmailChannel {
+  constructor({ transport, from, to }) {
+    this.name = 'email';
+    this.from = from;
+    this.to = to;
+    this.transporter = nodemailer.createTransport({
+      connectionTimeout: SEND_TIMEOUT,
+      greetingTimeout: SEND_TIMEOUT,
+      socketTimeout: SEND_TIMEOUT,
+      ...transport
+    });
+  }
+
+  async send({ subject, lines }) {
+    await this.transporter.sendMail({
+      from: this.from,
+      to: this.to.join(', '),
+      subject,
+      text: lines.join('\n')
+    });
+  }
+}
+
+const CHANNEL_TYPES = { webhook: WebhookChannel, email: EmailChannel };
+
+function createChannels(configs) {
+  return configs.map(config => new CHANNEL_TYPES[config.type](config));
+}
+
+module.exports = { WebhookChannel, EmailChannel, createChannels };
@@ -0,0 +1,149 @@
+const logger = require('./logger').child({ component: 'notifier' });
+
+const KINDS = {
+  sync_error: 'Sync error',
+  rate_limit: 'Shopify rate limit exhausted',
+  drift: 'Stock drift',
+  low_stock: 'Low stock'
+};
+
+// Events quoted in a digest; its count covers all of them
+const DIGEST_SAMPLES = 10;
+
+/**
+ * Outbound notifications, shared by the whole process like the logger and
+ * the metrics: configure() gives it Redis and the channels (see
+ * config/notifications.js); until then notify() does nothing.
+ *
+ * Throttling, per kind of event: the first event goes out at once and opens a
+ * window (5 minutes by default). Events inside the window are only counted,
+ * with the latest ones kept as samples, and sent as one digest when it closes.
+ * Windows live in Redis so several instances share them.
+ */
+class Notifier {
+  constructor() {
+    this.redis = null;
+    this.channels = [];
+    this.window = 300 * 1000;
+    this.timer = null;
+    this.sending = new Set();
+  }
+
+  configure(redisClient, channels, { window = 300 } = {}) {
+    this.redis = redisClient;
+    this.channels = channels;
+    this.window = window * 1000;
+  }
+
+  windowKey(kind) {
+    return `notify:window:${kind}`;
+  }
+
+  samplesKey(kind) {
+    return `notify:pending:${kind}`;
+  }
+
+  countKey(kind) {
+    return `notify:pending:${kind}:count`;
+  }
+
+  start() {
+    if (this.timer || !this.redis) return;
+    // Closed windows are noticed within 30 seconds
+    this.timer = setInterval(() => this.flush(), Math.min(this.window, 30000));
+  }
+
+  // Waits for the notifications still being sent
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.all(this.sending);
+  }
+
+  // Never throws, nor waits for the channels: a failing or slow notification
+  // must not fail or hold up what it reports
+  async notify(kind, summary, fields = {}) {
+    if (!this.redis) return;
+
+    const event = { summary, fields, time: new Date().toISOString(), correlationId: logger.correlationId() };
+    logger.debug('Notification', { kind, summary });
+
+    try {
+      if (await this.redis.set(this.windowKey(kind), '1', { NX: true, PX: this.window })) {
+        const sending = this.send(kind, [event], 1);
+        this.sending.add(sending);
+        sending.finally(() => this.sending.delete(sending));
+        return;
+      }
+
+      await this.redis.multi()
+        .lPush(this.samplesKey(kind), JSON.stringify(event))
+        .lTrim(this.samplesKey(kind), 0, DIGEST_SAMPLES - 1)
+        .incr(this.countKey(kind))
+        .exec();
+    } catch (error) {
+      logger.error('Notification failed', { kind, error });
+    }
+  }
+
+  // One digest per kind whose window closed with events waiting
+  async flush() {
+    for (const kind of Object.keys(KINDS)) {
+      try {
+        if (await this.redis.exists(this.windowKey(kind))) continue;
+
+        const [count, samples] = await this.redis.multi()
+          .getDel(this.countKey(kind))
+          .lRange(this.samplesKey(kind), 0, -1)
+          .del(this.samplesKey(kind))
+          .exec();
+        if (!count) continue;
+
+        // The burst may not be over: keep digesting until a quiet window
+        await this.redis.set(this.windowKey(kind), '1', { PX: this.window });
+        await this.send(kind, samples.map(sample => JSON.parse(sample)).reverse(), parseInt(count));
+      } catch (error) {
+        logger.error('Notification digest failed', { kind, error });
+      }
+    }
+  }
+
+  // Never rejects: each channel's failure is logged
+  async send(kind, events, count) {
+    const message = count === 1 ? this.formatEvent(kind, events[0]) : this.formatDigest(kind, events, count);
+
+    for (const channel of this.channels) {
+      try {
+        await channel.send(message);
+      } catch (error) {
+        logger.error('Notification channel failed', { channel: channel.name, kind, error });
+      }
+    }
+  }
+
+  formatEvent(kind, event) {
+    return {
+      subject: `[Ensovo] ${KINDS[kind]}: ${event.summary}`,
+      lines: [
+        ...Object.entries(event.fields).map(([name, value]) =>
+          `${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`
+        ),
+        `time: ${event.time}`,
+        ...(event.correlationId ? [`correlationId: ${event.correlationId}`] : [])
+      ]
+    };
+  }
+
+  formatDigest(kind, events, count) {
+    const minutes = Math.round(this.window / 60000);
+    return {
+      subject: `[Ensovo] ${KINDS[kind]}: ${count} events in the last ${minutes} min`,
+      lines: [
+        ...events.map(event => `${event.time}  ${event.summary}`),
+        ...(count > events.length ? [`... and ${count - events.length} more`] : [])
+      ]
+    };
+  }
+}
+
+module.exports = new Notifier();
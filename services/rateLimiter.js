@@ -0,0 +1,107 @@
+/**
+ * Client-side model of Shopify's leaky bucket.
+ *
+ * Each call adds its cost to the bucket, which drains at leakRate per second.
+ * Calls go out immediately while there is room and only wait once the bucket
+ * is (almost) full. Every response corrects the estimate with what Shopify
+ * reports: X-Shopify-Shop-Api-Call-Limit for REST, the throttleStatus cost
+ * extension for GraphQL, and Retry-After when a call was throttled anyway.
+ */
+class LeakyBucket {
+  constructor({ capacity = 40, leakRate = 2, margin = 2 } = {}) {
+    this.capacity = capacity;
+    this.leakRate = leakRate;
+    this.margin = margin;
+    this.used = 0;
+    this.updatedAt = Date.now();
+    this.blockedUntil = 0;
+
+    // Waiting callers are served in order
+    this.chain = Promise.resolve();
+  }
+
+  leak() {
+    const now = Date.now();
+    this.used = Math.max(0, this.used - ((now - this.updatedAt) / 1000) * this.leakRate);
+    this.updatedAt = now;
+  }
+
+  acquire(cost = 1) {
+    const turn = this.chain.then(async () => {
+      for (;;) {
+        this.leak();
+        const now = Date.now();
+
+        if (this.blockedUntil > now) {
+          await sleep(this.blockedUntil - now);
+          continue;
+        }
+
+        const room = this.capacity - this.margin - this.used;
+        if (cost <= room || this.used === 0) {
+          this.used += cost;
+          return;
+        }
+
+        await sleep(Math.ceil(((cost - room) / this.leakRate) * 1000));
+      }
+    });
+    this.chain = turn.catch(() => {});
+    return turn;
+  }
+
+  // REST: "32/40" means 32 calls in a bucket of 40
+  updateFromHeader(header) {
+    const match = /^(\d+)\/(\d+)$/.exec((header || '').trim());
+    if (!match) return;
+
+    this.used = parseInt(match[1]);
+    this.capacity = parseInt(match[2]);
+    this.updatedAt = Date.now();
+  }
+
+  // GraphQL: extensions.cost.throttleStatus
+  updateFromThrottleStatus(throttleStatus) {
+    if (!throttleStatus) return;
+
+    this.capacity = throttleStatus.maximumAvailable;
+    this.used = throttleStatus.maximumAvailable - throttleStatus.currentlyAvailable;
+    this.leakRate = throttleStatus.restoreRate;
+    this.updatedAt = Date.now();
+  }
+
+  // Throttled anyway: nobody calls this shop before the delay is over
+  pause(ms) {
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+    this.used = this.capacity;
+    this.updatedAt = Date.now();
+  }
+
+  state() {
+    this.leak();
+    return {
+      capacity: this.capacity,
+      used: Math.round(this.used * 10) / 10,
+      available: Math.max(0, Math.floor(this.capacity - this.used)),
+      leakRate: this.leakRate,
+      blockedUntil: this.blockedUntil > Date.now() ? new Date(this.blockedUntil).toISOString() : null
+    };
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// One bucket per shop and API, shared by every ShopifyService of that shop
+const buckets = new Map();
+
+function getBucket(domain, api, options) {
+  const key = `${domain}:${api}`;
+  if (!buckets.has(key)) {
+    buckets.set(key, new LeakyBucket(options));
+  }
+  return buckets.get(key);
+}
+
+module.exports = { LeakyBucket, getBucket };
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const notifier = require('./notifier');
+const logger = require('./logger').child({ component: 'reconciler' });
+
+/**
+ * Compare the stock of every tagged product across the locations of each
+ * location pair and optionally repair drift caused by missed webhooks or
+ * failed adjustments.
+ *
+ * Repair policies:
+ * - "min": every store gets the lowest quantity (never oversells)
+ * - "max": every store gets the highest quantity
+ * - "<storeName>": that store is the source of truth
+ *
+ * Stores with an allocation rule are expected to show their allocation of
+ * that quantity rather than the quantity itself.
+ */
+class Reconciler {
+  constructor(syncService, { policy = 'min', interval = 0, autoRepair = false } = {}) {
+    this.sync = syncService;
+    this.stores = syncService.stores;
+    this.locations = syncService.locations;
+    this.redis = syncService.redis;
+    this.policy = policy;
+    this.interval = interval;
+    this.autoRepair = autoRepair;
+    this.running = false;
+    this.timer = null;
+    this.reportKey = 'reconcile:last';
+  }
+
+  isValidPolicy(policy) {
+    return policy === 'min' || policy === 'max' || this.stores.has(policy);
+  }
+
+  start() {
+    if (!this.interval || this.timer) return;
+
+    logger.info('Reconciliation scheduled', { everyMinutes: this.interval / 60000, policy: this.policy, repair: this.autoRepair });
+    this.timer = setInterval(() => {
+      logger.withCorrelation(crypto.randomUUID(), () => this.run({ repair: this.autoRepair })).catch(error => {
+        logger.error('Scheduled reconciliation failed', { error });
+      });
+    }, this.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async run({ repair = false, policy = this.policy } = {}) {
+    if (this.running) {
+      throw new Error('A reconciliation is already running');
+    }
+    if (!this.isValidPolicy(policy)) {
+      throw new Error(`Unknown reconciliation policy "${policy}"`);
+    }
+
+    this.running = true;
+    const report = {
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      policy,
+      repair,
+      stores: this.stores.names(),
+      pairs: this.locations.names(),
+      checked: 0,
+      drift: [],
+      missing: [],
+      repaired: [],
+      errors: []
+    };
+    await this.saveReport(report);
+
+    try {
+      logger.info('Reconciliation started', { policy, repair });
+
+      // Tagged products are fetched once per store, whatever the number of pairs
+      const products = {};
+      for (const pair of this.locations.all()) {
+        await this.reconcilePair(pair, products, { repair, policy }, report);
+      }
+
+      report.status = 'completed';
+      logger.info('Reconciliation done', { checked: report.checked, drifted: report.drift.length, repaired: report.repaired.length });
+
+      if (report.drift.length > 0) {
+        await notifier.notify('drift', `${report.drift.length} of ${report.checked} products differ between stores`, {
+          drifted: report.drift.length,
+          repaired: report.repaired.length,
+          eans: [...new Set(report.drift.map(entry => entry.ean))].slice(0, 20).join(', ')
+        });
+      }
+    } catch (error) {
+      report.status = 'failed';
+      report.errors.push({ error: error.message });
+      logger.error('Reconciliation failed', { error });
+    } finally {
+      report.finishedAt = new Date().toISOString();
+      this.running = false;
+      await this.saveReport(report);
+    }
+
+    return report;
+  }
+
+  async reconcilePair(pair, products, { repair, policy }, report) {
+    const storeNames = this.locations.stores(pair);
+
+    // A store policy only applies to the pairs that store is part of
+    if (policy !== 'min' && policy !== 'max' && !storeNames.includes(policy)) {
+      report.errors.push({ pair: pair.name, error: `Policy store "${policy}" has no location in this pair` });
+      return;
+    }
+
+    const inventories = {};
+    for (const storeName of storeNames) {
+      if (!products[storeName]) {
+        products[storeName] = await this.stores.get(storeName).getProductsByTag(this.sync.syncTag);
+      }
+      const locationId = this.locations.locationId(pair, storeName);
+      inventories[storeName] = await this.loadInventory(storeName, products[storeName], locationId);
+    }
+
+    const allEans = new Set();
+    for (const inventory of Object.values(inventories)) {
+      for (const ean of inventory.keys()) allEans.add(ean);
+    }
+
+    for (const ean of allEans) {
+      const entries = {};
+      for (const storeName of storeNames) {
+        const entry = inventories[storeName].get(ean);
+        if (entry) entries[storeName] = entry;
+      }
+
+      const presentIn = Object.keys(entries);
+      const title = entries[presentIn[0]].title;
+
+      if (presentIn.length < storeNames.length) {
+        report.missing.push({ pair: pair.name, ean, title, stores: presentIn });
+        continue;
+      }
+
+      report.checked++;
+      const quantities = {};
+      for (const [storeName, entry] of Object.entries(entries)) {
+        quantities[storeName] = entry.available;
+      }
+
+      const expected = await this.expectedQuantities(ean, entries, quantities, policy);
+      const difference = Math.max(...Object.keys(quantities).map(name =>
+        Math.abs(quantities[name] - expected[name])
+      ));
+      if (difference === 0) continue;
+
+      report.drift.push({ pair: pair.name, ean, title, quantities, expected, difference });
+
+      if (repair) {
+        await this.repair(pair, ean, entries, quantities, expected, policy, report);
+      }
+    }
+  }
+
+  async loadInventory(storeName, products, locationId) {
+    const service = this.stores.get(storeName);
+
+    // Sync key (EAN, SKU or mapping) -> first variant carrying it, like the catalog
+    const byEan = new Map();
+    for (const product of products) {
+      for (const variant of product.variants) {
+        const key = await this.sync.resolveSyncKey(storeName, variant);
+        if (key && !byEan.has(key)) {
+          byEan.set(key, {
+            title: product.title,
+            tags: product.tags,
+            inventoryItemId: variant.inventory_item_id,
+            available: null
+          });
+        }
+      }
+    }
+
+    const itemIds = [...byEan.values()].map(entry => entry.inventoryItemId);
+    const levels = await service.getInventoryLevels(itemIds, locationId);
+    const availableByItem = new Map(levels.map(level => [level.inventory_item_id, level.available]));
+
+    for (const [ean, entry] of byEan) {
+      if (!availableByItem.has(entry.inventoryItemId)) {
+        // Not stocked at the synced location
+        byEan.delete(ean);
+        continue;
+      }
+      entry.available = availableByItem.get(entry.inventoryItemId) || 0;
+    }
+
+    return byEan;
+  }
+
+  /**
+   * Quantity each store should show. The reference is the policy store, or the
+   * min/max of the stores without allocation rule; stores with a rule expect
+   * their allocation of that reference.
+   */
+  async expectedQuantities(ean, entries, quantities, policy) {
+    const rules = {};
+    for (const [storeName, entry] of Object.entries(entries)) {
+      rules[storeName] = await this.sync.allocation.findRule(storeName, ean, entry.tags);
+    }
+
+    let reference;
+    if (policy === 'min' || policy === 'max') {
+      const unruled = Object.keys(quantities).filter(name => !rules[name]);
+      const values = (unruled.length > 0 ? unruled : Object.keys(quantities)).map(name => quantities[name]);
+      reference = policy === 'min' ? Math.min(...values) : Math.max(...values);
+    } else {
+      reference = quantities[policy];
+    }
+
+    const expected = {};
+    for (const storeName of Object.keys(quantities)) {
+      expected[storeName] = storeName === policy
+        ? quantities[storeName]
+        : this.sync.allocation.allocate(rules[storeName], reference);
+    }
+    return expected;
+  }
+
+  async repair(pair, ean, entries, quantities, expected, policy, report) {
+    for (const [storeName, entry] of Object.entries(entries)) {
+      const target = expected[storeName];
+      if (quantities[storeName] === target) continue;
+
+      try {
+        const service = this.stores.get(storeName);
+        const locationId = this.locations.locationId(pair, storeName);
+
+        if (await this.sync.dryRun.isEnabled(storeName)) {
+          await this.sync.dryRun.record({
+            type: 'reconcile', sourceStore: policy, targetStore: storeName, pair: pair.name, ean,
+            inventoryItemId: entry.inventoryItemId, locationId,
+            currentQuantity: quantities[storeName], expectedQuantity: target
+          });
+          report.repaired.push({ pair: pair.name, ean, store: storeName, from: quantities[storeName], to: target, dryRun: true });
+          logger.info('[dry-run] Would repair drift', { ean, store: storeName, pair: pair.name, from: quantities[storeName], to: target });
+          await this.sync.trace(ean, 'reconcile_repaired', { store: storeName, pair: pair.name, policy, from: quantities[storeName], to: target, dryRun: true });
+          continue;
+        }
+
+        // Our own write: its webhook must not fan out again, even if it arrives
+        // before the write returns
+        await this.sync.expectedWrites.record(storeName, locationId, entry.inventoryItemId, target);
+
+        // Compare-and-set on the level read: a sale since then makes the repair fail cleanly
+        try {
+          await service.setInventoryLevel(entry.inventoryItemId, locationId, target, {
+            compareQuantity: quantities[storeName]
+          });
+        } catch (error) {
+          await this.sync.expectedWrites.remove(storeName, locationId, entry.inventoryItemId, target);
+          throw error;
+        }
+
+        await this.redis.setEx(this.sync.inventoryKey(storeName, locationId, ean), 3600 * 24, target.toString());
+        await this.sync.logSyncEvent(policy, storeName, ean, target, 'reconcile', pair.name);
+
+        report.repaired.push({ pair: pair.name, ean, store: storeName, from: quantities[storeName], to: target });
+        logger.info('Drift repaired', { ean, store: storeName, pair: pair.name, from: quantities[storeName], to: target });
+        await this.sync.trace(ean, 'reconcile_repaired', { store: storeName, pair: pair.name, policy, from: quantities[storeName], to: target });
+      } catch (error) {
+        report.errors.push({ pair: pair.name, ean, store: storeName, error: error.message });
+        logger.error('Could not repair drift', { ean, store: storeName, pair: pair.name, error });
+      }
+    }
+  }
+
+  async saveReport(report) {
+    await this.redis.set(this.reportKey, JSON.stringify(report));
+  }
+
+  async getLast() {
+    const data = await this.redis.get(this.reportKey);
+    return data ? JSON.parse(data) : null;
+  }
+}
+
+module.exports = Reconciler;
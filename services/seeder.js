@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const logger = require('./logger').child({ component: 'seeder' });
+
+// Products read from the master store and synced per round
+const CHUNK_SIZE = 50;
+
+// A failing chunk is tried again after these delays before the job fails
+const CHUNK_RETRY_DELAYS = [5000, 30000];
+
+/**
+ * Initial seeding: push the absolute level of every tagged product of a master
+ * store to the other stores of a location pair, and fill the inventory caches
+ * so the first webhooks already produce deltas.
+ *
+ * The product list is snapshotted in Redis when the job starts and progress is
+ * saved after every chunk, so a job interrupted by a restart resumes where it
+ * stopped (resume() at startup). Levels are read chunk by chunk, right before
+ * being pushed. A chunk that keeps failing fails the job, which retry() then
+ * continues from that chunk. Only one job runs at a time.
+ */
+class Seeder {
+  constructor(syncService) {
+    this.sync = syncService;
+    this.stores = syncService.stores;
+    this.locations = syncService.locations;
+    this.redis = syncService.redis;
+    this.activeKey = 'seed:active';
+    this.running = null;
+    this.stopping = false;
+  }
+
+  jobKey(id) {
+    return `seed:job:${id}`;
+  }
+
+  itemsKey(id) {
+    return `seed:job:${id}:items`;
+  }
+
+  unmatchedKey(id) {
+    return `seed:job:${id}:unmatched`;
+  }
+
+  // Returns null when another job is still running
+  async start({ masterStore, pair: pairName }) {
+    const pair = this.locations.get(pairName);
+    const id = crypto.randomUUID();
+    if (!(await this.redis.set(this.activeKey, id, { NX: true }))) {
+      return null;
+    }
+
+    const job = {
+      id,
+      status: 'running',
+      masterStore,
+      pair: pair.name,
+      total: null,
+      processed: 0,
+      counts: {},
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null
+    };
+    await this.save(job);
+
+    this.launch(job);
+    return job;
+  }
+
+  // Continue a failed job from its last saved chunk; null when another job is running
+  async retry(job) {
+    if (!(await this.redis.set(this.activeKey, job.id, { NX: true }))) {
+      return null;
+    }
+
+    Object.assign(job, { status: 'running', error: null, finishedAt: null });
+    await this.save(job);
+
+    logger.info('Retrying seeding job', { jobId: job.id, processed: job.processed, total: job.total });
+    this.launch(job);
+    return job;
+  }
+
+  // Pick up the job a restart interrupted, if any
+  async resume() {
+    const id = await this.redis.get(this.activeKey);
+    const job = id && await this.get(id);
+
+    if (!job || job.status !== 'running') {
+      if (id) await this.redis.del(this.activeKey);
+      return null;
+    }
+
+    logger.info('Resuming seeding job', { jobId: id, processed: job.processed, total: job.total });
+    this.launch(job);
+    return job;
+  }
+
+  launch(job) {
+    this.running = this.run(job).catch(error => {
+      logger.error('Seeding job state could not be saved', { jobId: job.id, error });
+    });
+  }
+
+  async stop() {
+    // The current chunk finishes; the job stays "running" and resumes on next start
+    this.stopping = true;
+    await this.running;
+  }
+
+  async run(job) {
+    try {
+      if (job.total === null) {
+        job.total = await this.snapshot(job);
+        await this.save(job);
+        logger.info('Seeding started', { jobId: job.id, masterStore: job.masterStore, pair: job.pair, total: job.total });
+      }
+
+      while (job.processed < job.total) {
+        if (this.stopping) {
+          logger.info('Seeding interrupted, will resume on next start', { jobId: job.id, processed: job.processed });
+          return;
+        }
+
+        const raw = await this.redis.lRange(this.itemsKey(job.id), job.processed, job.processed + CHUNK_SIZE - 1);
+        const { counts, unmatched } = await this.seedChunkWithRetry(job, raw.map(item => JSON.parse(item)));
+
+        // Saved with the progress: a chunk replayed after a crash is not counted twice
+        job.processed += raw.length;
+        for (const [status, count] of Object.entries(counts)) {
+          job.counts[status] = (job.counts[status] || 0) + count;
+        }
+        const transaction = this.redis.multi();
+        if (unmatched.length > 0) {
+          transaction.rPush(this.unmatchedKey(job.id), unmatched);
+        }
+        transaction.set(this.jobKey(job.id), JSON.stringify(job));
+        await transaction.exec();
+      }
+
+      job.status = 'completed';
+      logger.info('Seeding done', { jobId: job.id, total: job.total, counts: job.counts });
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error('Seeding failed', { jobId: job.id, error });
+    }
+
+    job.finishedAt = new Date().toISOString();
+    await this.save(job);
+    await this.redis.del(this.activeKey);
+  }
+
+  // Tagged products of the master store, one item per sync key (first variant wins, like the catalog)
+  async snapshot(job) {
+    const products = await this.stores.get(job.masterStore).getProductsByTag(this.sync.syncTag);
+
+    const items = new Map();
+    for (const product of products) {
+      for (const variant of product.variants) {
+        const ean = await this.sync.resolveSyncKey(job.masterStore, variant);
+        if (ean && !items.has(ean)) {
+          items.set(ean, JSON.stringify({ ean, title: product.title, inventoryItemId: variant.inventory_item_id }));
+        }
+      }
+    }
+
+    const key = this.itemsKey(job.id);
+    await this.redis.del(key);
+    if (items.size > 0) {
+      await this.redis.rPush(key, [...items.values()]);
+    }
+    return items.size;
+  }
+
+  async seedChunkWithRetry(job, items) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.seedChunk(job, items);
+      } catch (error) {
+        if (attempt >= CHUNK_RETRY_DELAYS.length || this.stopping) throw error;
+
+        const delay = CHUNK_RETRY_DELAYS[attempt];
+        logger.warn('Seeding chunk failed, retrying', { jobId: job.id, processed: job.processed, delayMs: delay, error });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // Levels pushed for one chunk: its counts and unmatched EANs are saved by run()
+  async seedChunk(job, items) {
+    const counts = {};
+    const unmatched = [];
+    const pair = this.locations.get(job.pair);
+    const locationId = this.locations.locationId(pair, job.masterStore);
+    const service = this.stores.get(job.masterStore);
+
+    const levels = await service.getInventoryLevels(items.map(item => item.inventoryItemId), locationId);
+    const availableByItem = new Map(levels.map(level => [level.inventory_item_id, level.available]));
+
+    for (const item of items) {
+      if (!availableByItem.has(item.inventoryItemId)) {
+        // Not stocked at the master location: nothing to push
+        counts.not_stocked = (counts.not_stocked || 0) + 1;
+        continue;
+      }
+
+      const available = availableByItem.get(item.inventoryItemId) || 0;
+      await this.redis.setEx(this.sync.inventoryKey(job.masterStore, locationId, item.ean), 3600 * 24, available.toString());
+
+      const results = await this.sync.syncFullToOtherStore(job.masterStore, item.ean, available, pair.name);
+      for (const { status } of results) {
+        counts[status] = (counts[status] || 0) + 1;
+      }
+
+      const missingIn = results.filter(result => result.status === 'not_found').map(result => result.targetStore);
+      if (missingIn.length > 0) {
+        unmatched.push(JSON.stringify({ ean: item.ean, title: item.title, missingIn }));
+      }
+    }
+    return { counts, unmatched };
+  }
+
+  async save(job) {
+    await this.redis.set(this.jobKey(job.id), JSON.stringify(job));
+  }
+
+  async get(id) {
+    const data = await this.redis.get(this.jobKey(id));
+    return data ? JSON.parse(data) : null;
+  }
+
+  // Job state with its progress and the EANs the other stores do not carry
+  async getReport(id, { limit = 1000 } = {}) {
+    const job = await this.get(id);
+    if (!job) return null;
+
+    const key = this.unmatchedKey(id);
+    const [unmatchedCount, unmatched] = await Promise.all([
+      this.redis.lLen(key),
+      this.redis.lRange(key, 0, limit - 1)
+    ]);
+
+    return {
+      ...job,
+      progress: job.total ? Math.round((job.processed / job.total) * 1000) / 10 : 0,
+      unmatchedCount,
+      unmatched: unmatched.map(entry => JSON.parse(entry))
+    };
+  }
+}
+
+module.exports = Seeder;
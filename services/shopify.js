@@ -1,30 +1,58 @@
 const crypto = require('crypto');
+const { getBucket } = require('./rateLimiter');
+const metrics = require('./metrics');
+const notifier = require('./notifier');
+const logger = require('./logger').child({ component: 'shopify' });
+
+// Raised when a compare-and-set write finds a different quantity than expected
+class StaleQuantityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StaleQuantityError';
+    this.status = 409;
+  }
+}
 
 class ShopifyService {
-  constructor({ domain, accessToken, webhookSecret, storeName, locationId, locationName }) {
+  constructor({ domain, accessToken, webhookSecret, storeName, apiMode, apiVersion, apiUrl }) {
     this.domain = domain;
     this.accessToken = accessToken;
     this.webhookSecret = webhookSecret;
     this.storeName = storeName;
-    this.locationId = locationId;
-    this.locationName = locationName;
-    this.baseUrl = `https://${domain}/admin/api/2024-10`;
+    // REST stays pinned to the version it was written against, so that
+    // SHOPIFY_API_MODE=rest really gives back the old behaviour. GraphQL opts
+    // in to the newer version its inventory mutations need.
+    this.apiVersion = apiVersion || process.env.SHOPIFY_API_VERSION || '2024-10';
+    this.graphqlApiVersion = process.env.SHOPIFY_GRAPHQL_API_VERSION || '2025-10';
+    const origin = apiUrl ? apiUrl.replace(/\/+$/, '') : `https://${domain}`;
+    this.baseUrl = `${origin}/admin/api/${this.apiVersion}`;
+    this.graphqlBaseUrl = `${origin}/admin/api/${this.graphqlApiVersion}`;
 
-    // Rate limiter: track last request time to ensure 2 calls/sec max
-    this.lastRequestTime = 0;
-    this.minRequestInterval = 500; // 500ms = 2 calls per second
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
+    // Inventory reads/writes go through GraphQL (compare-and-set, idempotency keys)
+    // SHOPIFY_API_MODE=rest switches back to the REST endpoints for rollback
+    this.apiMode = apiMode || process.env.SHOPIFY_API_MODE || 'graphql';
+
+    // Rate limiter: leaky buckets shared by every caller of the same shop
+    // Standard plans: 40 REST calls draining at 2/s, 1000 GraphQL points at 50/s
+    // (Shopify's responses correct these figures on the first call)
+    this.restBucket = getBucket(domain, 'rest', {
+      capacity: 40,
+      leakRate: parseFloat(process.env.SHOPIFY_REST_LEAK_RATE) || 2
+    });
+    this.graphqlBucket = getBucket(domain, 'graphql', { capacity: 1000, leakRate: 50, margin: 50 });
+    this.graphqlCostEstimate = 10;
   }
 
   async makeRequest(endpoint, method = 'GET', body = null, retryCount = 0) {
     const maxRetries = 5;
     const baseDelay = 1000; // 1 second
 
-    // Rate limiting: ensure we don't exceed 2 calls/sec
-    await this.rateLimitDelay();
+    // Rate limiting: wait only if the shop's bucket is full
+    const isGraphql = endpoint === '/graphql.json';
+    const bucket = isGraphql ? this.graphqlBucket : this.restBucket;
+    await bucket.acquire(isGraphql ? this.graphqlCostEstimate : 1);
 
-    const url = `${this.baseUrl}${endpoint}`;
+    const url = `${isGraphql ? this.graphqlBaseUrl : this.baseUrl}${endpoint}`;
     const options = {
       method,
       headers: {
@@ -37,27 +65,43 @@ class ShopifyService {
       options.body = JSON.stringify(body);
     }
 
+    const api = isGraphql ? 'graphql' : 'rest';
+    const stopTimer = metrics.shopifyRequestDuration.startTimer({ store: this.storeName, api });
+
     try {
-      const response = await fetch(url, options);
+      const response = await fetch(url, options).catch(error => {
+        stopTimer({ status: 'network_error' });
+        // Lets callers tell a failed request from a failure of their own
+        error.network = true;
+        throw error;
+      });
+      const seconds = stopTimer({ status: response.status });
+      logger.debug('Shopify request', { store: this.storeName, method, endpoint, status: response.status, durationMs: Math.round(seconds * 1000) });
+      this.restBucket.updateFromHeader(response.headers.get('X-Shopify-Shop-Api-Call-Limit'));
 
       if (!response.ok) {
         const error = await response.text();
 
-        // Check if it's a rate limit error (429 or specific message)
-        const isRateLimitError = response.status === 429 ||
-                                 error.includes('Exceeded 2 calls per second') ||
-                                 error.includes('throttled');
-
-        if (isRateLimitError && retryCount < maxRetries) {
-          // Exponential backoff: 1s, 2s, 4s, 8s, 16s
-          const delay = baseDelay * Math.pow(2, retryCount);
-          console.log(`⏳ Rate limit hit for ${this.storeName}, retrying in ${delay}ms (attempt ${retryCount + 1}/${maxRetries})...`);
+        if (response.status === 429 && retryCount < maxRetries) {
+          // Wait as long as Shopify asks, else exponential backoff: 1s, 2s, 4s, 8s, 16s
+          const retryAfter = parseFloat(response.headers.get('Retry-After'));
+          const delay = retryAfter > 0 ? retryAfter * 1000 : baseDelay * Math.pow(2, retryCount);
+          logger.warn('Rate limit hit, retrying', { store: this.storeName, delayMs: delay, attempt: retryCount + 1, maxRetries });
+          metrics.shopifyThrottled.inc({ store: this.storeName, api });
 
-          await this.sleep(delay);
+          bucket.pause(delay);
           return this.makeRequest(endpoint, method, body, retryCount + 1);
         }
 
-        throw new Error(`Shopify API error (${this.storeName}): ${error}`);
+        if (response.status === 429) {
+          await notifier.notify('rate_limit', `${this.storeName}: ${method} ${endpoint.split('?')[0]} still throttled after ${maxRetries} retries`, {
+            store: this.storeName, api
+          });
+        }
+
+        const apiError = new Error(`Shopify API error (${this.storeName}): ${error}`);
+        apiError.status = response.status;
+        throw apiError;
       }
 
       // Get Link header for pagination
@@ -69,7 +113,7 @@ class ShopifyService {
       // Network errors or other fetch errors
       if (retryCount < maxRetries && error.message.includes('fetch')) {
         const delay = baseDelay * Math.pow(2, retryCount);
-        console.log(`⚠️  Network error for ${this.storeName}, retrying in ${delay}ms...`);
+        logger.warn('Network error, retrying', { store: this.storeName, delayMs: delay, error });
         await this.sleep(delay);
         return this.makeRequest(endpoint, method, body, retryCount + 1);
       }
@@ -77,20 +121,81 @@ class ShopifyService {
     }
   }
 
-  async rateLimitDelay() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async graphql(query, variables = {}, retryCount = 0) {
+    const maxRetries = 5;
+    const { data: body } = await this.makeRequest('/graphql.json', 'POST', { query, variables });
 
-    if (timeSinceLastRequest < this.minRequestInterval) {
-      const delay = this.minRequestInterval - timeSinceLastRequest;
-      await this.sleep(delay);
+    const cost = body.extensions && body.extensions.cost;
+    if (cost) {
+      this.graphqlBucket.updateFromThrottleStatus(cost.throttleStatus);
+      this.graphqlCostEstimate = Math.max(this.graphqlCostEstimate, cost.requestedQueryCost || 0);
     }
 
-    this.lastRequestTime = Date.now();
+    if (body.errors && body.errors.length > 0) {
+      const throttled = body.errors.some(e => e.extensions && e.extensions.code === 'THROTTLED');
+
+      if (throttled && retryCount < maxRetries) {
+        // Wait until the bucket holds enough points for this query
+        const status = cost && cost.throttleStatus;
+        const delay = status
+          ? Math.ceil(((cost.requestedQueryCost - status.currentlyAvailable) / status.restoreRate) * 1000)
+          : 1000 * Math.pow(2, retryCount);
+        logger.warn('GraphQL throttled, retrying', { store: this.storeName, delayMs: delay, attempt: retryCount + 1, maxRetries });
+        metrics.shopifyThrottled.inc({ store: this.storeName, api: 'graphql' });
+        this.graphqlBucket.pause(Math.max(delay, 0));
+        return this.graphql(query, variables, retryCount + 1);
+      }
+
+      if (throttled) {
+        await notifier.notify('rate_limit', `${this.storeName}: GraphQL query still throttled after ${maxRetries} retries`, {
+          store: this.storeName, api: 'graphql'
+        });
+      }
+
+      const error = new Error(`Shopify GraphQL error (${this.storeName}): ${body.errors.map(e => e.message).join('; ')}`);
+      error.status = throttled ? 429 : 400;
+      throw error;
+    }
+
+    return body.data;
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  // Mutations report business errors in userErrors rather than HTTP statuses
+  checkUserErrors(result, mutation) {
+    const userErrors = result.userErrors || [];
+    if (userErrors.length === 0) return;
+
+    const message = `Shopify ${mutation} failed (${this.storeName}): ${userErrors.map(e => e.message).join('; ')}`;
+    if (userErrors.some(e => /STALE|COMPARE_QUANTITY|CHANGE_FROM_QUANTITY/.test(e.code || ''))) {
+      throw new StaleQuantityError(message);
+    }
+
+    const error = new Error(message);
+    error.status = 422;
+    throw error;
+  }
+
+  getRateLimitState() {
+    return {
+      rest: this.restBucket.state(),
+      graphql: this.graphqlBucket.state()
+    };
+  }
+
+  supportsCompareAndSet() {
+    return this.apiMode === 'graphql';
+  }
+
+  inventoryItemGid(inventoryItemId) {
+    return `gid://shopify/InventoryItem/${inventoryItemId}`;
+  }
+
+  locationGid(locationId) {
+    return `gid://shopify/Location/${locationId}`;
   }
 
   verifyWebhook(body, hmac) {
@@ -125,26 +230,26 @@ class ShopifyService {
       url = this.getNextPageUrl(linkHeader);
     }
     
-    console.log(`📦 Found ${allProducts.length} products with tag "${tag}" in ${this.storeName}`);
+    logger.info('Tagged products fetched', { store: this.storeName, tag, products: allProducts.length });
     return allProducts;
   }
 
   async getProductByEan(ean) {
-    console.log(`🔍 Searching for product with EAN ${ean} in ${this.storeName}...`);
+    logger.debug('Searching product by EAN', { store: this.storeName, ean });
     
     let url = `/products.json?limit=250&fields=id,title,tags,variants`;
     let pageCount = 0;
     
     while (url) {
       pageCount++;
-      console.log(`  📄 Checking page ${pageCount}...`);
+      logger.debug('Checking products page', { store: this.storeName, page: pageCount });
       
       const { data, linkHeader } = await this.makeRequest(url);
       
       for (const product of data.products) {
         for (const variant of product.variants) {
           if (variant.barcode === ean) {
-            console.log(`  ✅ Found product: ${product.title} (variant: ${variant.id})`);
+            logger.debug('Product found', { store: this.storeName, ean, title: product.title, variantId: variant.id });
             return { product, variant };
           }
         }
@@ -155,23 +260,98 @@ class ShopifyService {
       
       // Safety limit to avoid infinite loops
       if (pageCount > 50) {
-        console.log(`  ⚠️  Stopped after 50 pages (12,500 products)`);
+        logger.warn('Product search stopped after 50 pages (12,500 products)', { store: this.storeName, ean });
         break;
       }
     }
     
-    console.log(`  ❌ Product with EAN ${ean} not found after ${pageCount} pages`);
+    logger.debug('Product not found', { store: this.storeName, ean, pages: pageCount });
     return null;
   }
 
   async getInventoryLevel(inventoryItemId, locationId) {
+    if (this.apiMode === 'graphql') {
+      const [level] = await this.getInventoryLevels([inventoryItemId], locationId);
+      return level;
+    }
+
     const { data } = await this.makeRequest(
       `/inventory_levels.json?inventory_item_ids=${inventoryItemId}&location_ids=${locationId}`
     );
     return data.inventory_levels[0];
   }
 
-  async adjustInventoryLevel(inventoryItemId, locationId, delta) {
+  async getInventoryLevels(inventoryItemIds, locationId) {
+    // Shopify accepts at most 50 inventory items per request
+    let levels = [];
+    for (let i = 0; i < inventoryItemIds.length; i += 50) {
+      const chunk = inventoryItemIds.slice(i, i + 50);
+      const page = this.apiMode === 'graphql'
+        ? await this.getInventoryLevelsGraphql(chunk, locationId)
+        : (await this.makeRequest(
+          `/inventory_levels.json?inventory_item_ids=${chunk.join(',')}&location_ids=${locationId}&limit=250`
+        )).data.inventory_levels;
+      levels = levels.concat(page);
+    }
+    return levels;
+  }
+
+  // Same shape as the REST inventory_levels: { inventory_item_id, location_id, available }
+  async getInventoryLevelsGraphql(inventoryItemIds, locationId) {
+    const data = await this.graphql(`
+      query InventoryLevels($ids: [ID!]!, $locationId: ID!) {
+        nodes(ids: $ids) {
+          ... on InventoryItem {
+            legacyResourceId
+            inventoryLevel(locationId: $locationId) {
+              quantities(names: ["available"]) { name quantity }
+            }
+          }
+        }
+      }`, {
+      ids: inventoryItemIds.map(id => this.inventoryItemGid(id)),
+      locationId: this.locationGid(locationId)
+    });
+
+    return data.nodes
+      .filter(node => node && node.inventoryLevel)
+      .map(node => ({
+        inventory_item_id: parseInt(node.legacyResourceId),
+        location_id: parseInt(locationId),
+        available: node.inventoryLevel.quantities.find(q => q.name === 'available').quantity
+      }));
+  }
+
+  /**
+   * Add delta to the available quantity. In GraphQL mode, compareQuantity makes
+   * the write fail with a StaleQuantityError if the level is no longer the one
+   * we read, and idempotencyKey makes a resent request apply only once.
+   */
+  async adjustInventoryLevel(inventoryItemId, locationId, delta, { compareQuantity = null, idempotencyKey = null } = {}) {
+    if (this.apiMode === 'graphql') {
+      const change = {
+        delta,
+        inventoryItemId: this.inventoryItemGid(inventoryItemId),
+        locationId: this.locationGid(locationId)
+      };
+      if (compareQuantity !== null) {
+        change.changeFromQuantity = compareQuantity;
+      }
+
+      const data = await this.graphql(`
+        mutation AdjustInventory($input: InventoryAdjustQuantitiesInput!, $idempotencyKey: String!) {
+          inventoryAdjustQuantities(input: $input) @idempotent(key: $idempotencyKey) {
+            inventoryAdjustmentGroup { changes { name delta quantityAfterChange } }
+            userErrors { field message code }
+          }
+        }`, {
+        input: { reason: 'correction', name: 'available', changes: [change] },
+        idempotencyKey: idempotencyKey || crypto.randomUUID()
+      });
+
+      return this.toInventoryLevel(data.inventoryAdjustQuantities, 'inventoryAdjustQuantities', inventoryItemId, locationId);
+    }
+
     const { data } = await this.makeRequest('/inventory_levels/adjust.json', 'POST', {
       location_id: locationId,
       inventory_item_id: inventoryItemId,
@@ -180,7 +360,41 @@ class ShopifyService {
     return data;
   }
 
-  async setInventoryLevel(inventoryItemId, locationId, available) {
+  async setInventoryLevel(inventoryItemId, locationId, available, { compareQuantity = null, idempotencyKey = null } = {}) {
+    if (this.apiMode === 'graphql') {
+      const quantity = {
+        inventoryItemId: this.inventoryItemGid(inventoryItemId),
+        locationId: this.locationGid(locationId),
+        quantity: available
+      };
+      if (compareQuantity !== null) {
+        quantity.compareQuantity = compareQuantity;
+      }
+
+      const data = await this.graphql(`
+        mutation SetInventory($input: InventorySetQuantitiesInput!, $idempotencyKey: String!) {
+          inventorySetQuantities(input: $input) @idempotent(key: $idempotencyKey) {
+            inventoryAdjustmentGroup { changes { name delta quantityAfterChange } }
+            userErrors { field message code }
+          }
+        }`, {
+        input: {
+          reason: 'correction',
+          name: 'available',
+          ignoreCompareQuantity: compareQuantity === null,
+          quantities: [quantity]
+        },
+        idempotencyKey: idempotencyKey || crypto.randomUUID()
+      });
+
+      const result = this.toInventoryLevel(data.inventorySetQuantities, 'inventorySetQuantities', inventoryItemId, locationId);
+      // No change group when the quantity was already right
+      if (result.inventory_level.available === null) {
+        result.inventory_level.available = available;
+      }
+      return result;
+    }
+
     const { data } = await this.makeRequest('/inventory_levels/set.json', 'POST', {
       location_id: locationId,
       inventory_item_id: inventoryItemId,
@@ -189,27 +403,51 @@ class ShopifyService {
     return data;
   }
 
-  async setupWebhook(address) {
+  // Same shape as the REST adjust/set responses: { inventory_level: { ..., available } }
+  toInventoryLevel(result, mutation, inventoryItemId, locationId) {
+    this.checkUserErrors(result, mutation);
+
+    const group = result.inventoryAdjustmentGroup;
+    const change = group && group.changes.find(c => c.name === 'available');
+    return {
+      inventory_level: {
+        inventory_item_id: parseInt(inventoryItemId),
+        location_id: parseInt(locationId),
+        available: change ? change.quantityAfterChange : null
+      }
+    };
+  }
+
+  async listWebhooks() {
+    const { data } = await this.makeRequest('/webhooks.json?limit=250');
+    return data.webhooks;
+  }
+
+  async deleteWebhook(webhookId) {
+    await this.makeRequest(`/webhooks/${webhookId}.json`, 'DELETE');
+  }
+
+  async setupWebhook(address, topic = 'inventory_levels/update') {
     // First, get existing webhooks
-    const { data } = await this.makeRequest('/webhooks.json');
-    const existing = data.webhooks.find(w => 
-      w.topic === 'inventory_levels/update' && w.address === address
+    const webhooks = await this.listWebhooks();
+    const existing = webhooks.find(w => 
+      w.topic === topic && w.address === address
     );
 
     if (existing) {
-      console.log(`✅ Webhook already exists for ${this.storeName}`);
+      logger.info('Webhook already registered', { store: this.storeName, topic });
       return existing;
     }
 
     // Create new webhook
-    const { data: webhook } = await this.makeRequest('/webhooks.json', 'POST', {
+    const { data } = await this.makeRequest('/webhooks.json', 'POST', {
       webhook: {
-        topic: 'inventory_levels/update',
+        topic,
         address: address,
         format: 'json'
       }
     });
-    return webhook;
+    return data.webhook;
   }
 
   getNextPageUrl(linkHeader) {
@@ -221,9 +459,10 @@ class ShopifyService {
     for (const link of links) {
       const match = link.match(/<([^>]+)>;\s*rel="next"/);
       if (match) {
-        // Extract just the path and query params
+        // Extract just the path and query params, relative to baseUrl
         const url = new URL(match[1]);
-        return url.pathname.replace('/admin/api/2024-10', '') + url.search;
+        const basePath = new URL(this.baseUrl).pathname;
+        return url.pathname.replace(basePath, '') + url.search;
       }
     }
     
@@ -231,4 +470,6 @@ class ShopifyService {
   }
 }
 
+ShopifyService.StaleQuantityError = StaleQuantityError;
+
 module.exports = ShopifyService;
@@ -0,0 +1,48 @@
+const ShopifyService = require('./shopify');
+
+class StoreRegistry {
+  constructor(services = []) {
+    this.stores = new Map();
+    for (const service of services) {
+      this.register(service);
+    }
+  }
+
+  static fromConfig(configs) {
+    return new StoreRegistry(configs.map(config => new ShopifyService(config)));
+  }
+
+  register(service) {
+    if (this.stores.has(service.storeName)) {
+      throw new Error(`Store "${service.storeName}" is already registered`);
+    }
+    this.stores.set(service.storeName, service);
+  }
+
+  has(storeName) {
+    return this.stores.has(storeName);
+  }
+
+  get(storeName) {
+    const service = this.stores.get(storeName);
+    if (!service) {
+      throw new Error(`Unknown store "${storeName}"`);
+    }
+    return service;
+  }
+
+  names() {
+    return [...this.stores.keys()];
+  }
+
+  all() {
+    return [...this.stores.values()];
+  }
+
+  // Every store that must receive a change coming from storeName
+  others(storeName) {
+    return this.names().filter(name => name !== storeName);
+  }
+}
+
+module.exports = StoreRegistry;
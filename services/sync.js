@@ -1,407 +1,982 @@
-const PQueue = require('p-queue').default;
+const crypto = require('crypto');
+const JobQueue = require('./jobQueue');
+const Debouncer = require('./debouncer');
+const { mergeSyncOperations } = require('./coalescer');
+const ExpectedWrites = require('./expectedWrites');
+const DeadLetterQueue = require('./deadLetters');
+const WebhookDeliveries = require('./webhookDeliveries');
+const Catalog = require('./catalog');
+const ProductMappings = require('./mappings');
+const DryRunMode = require('./dryRun');
+const AllocationRules = require('./allocation');
+const SyncHistory = require('./history');
+const ProductTimeline = require('./timeline');
+const { StaleQuantityError } = require('./shopify');
+const metrics = require('./metrics');
+const notifier = require('./notifier');
+const logger = require('./logger').child({ component: 'sync' });
+
+const SYNC_MODES = ['inventory', 'orders'];
+
+// Refund line items with these restock types put the quantity back in stock
+const RESTOCK_TYPES = ['return', 'cancel', 'legacy_restock'];
+
+// Orders and refunds applied are remembered 30 days (seconds)
+const ORDER_EVENT_TTL = 30 * 86400;
 
 class SyncService {
-  constructor(shopifyStore1, shopifyStore2, redisClient) {
-    this.store1 = shopifyStore1;
-    this.store2 = shopifyStore2;
+  constructor(stores, redisClient, locations) {
+    this.stores = stores;
     this.redis = redisClient;
+    // Location pairs (resolved at startup): which locations sync with which
+    this.locations = locations;
     this.syncTag = process.env.SYNC_TAG || 'sync-stock';
+
+    // What drives the sync: inventory_levels/update webhooks ("inventory", the
+    // default) or orders and refunds ("orders"), whose exact quantities do not
+    // depend on the inventory cache. Inventory webhooks are ignored in orders mode.
+    this.mode = process.env.SYNC_MODE || 'inventory';
+    if (!SYNC_MODES.includes(this.mode)) {
+      throw new Error(`Unknown SYNC_MODE "${this.mode}" (${SYNC_MODES.join(' or ')})`);
+    }
+    // Pair of the orders that do not say where their stock came from (online orders)
+    this.ordersPair = process.env.ORDERS_LOCATION_PAIR || null;
     this.debounceDelay = parseInt(process.env.DEBOUNCE_DELAY) || 2000;
-    this.pendingSyncs = new Map();
 
-    // Cache duration: 30 minutes (configurable via CACHE_DURATION)
-    // Cache expires naturally - no auto-refresh to save resources
+    // Product catalog: indexed in Redis, rebuilt in the background every
+    // 30 minutes (configurable via CACHE_DURATION, in seconds)
     this.cacheDuration = parseInt(process.env.CACHE_DURATION) || 1800;
+    this.catalog = new Catalog(stores, redisClient, {
+      syncTag: this.syncTag,
+      refreshInterval: this.cacheDuration * 1000
+    });
+
+    // How variants are matched across stores: explicit mappings first, then
+    // SYNC_MATCH_MODE in order ("barcode" by default, "barcode,sku" or "sku")
+    this.mappings = new ProductMappings(stores, redisClient, this.catalog);
+    this.matchModes = (process.env.SYNC_MATCH_MODE || 'barcode')
+      .split(',')
+      .map(mode => mode.trim())
+      .filter(Boolean);
 
     // Processing queue: limit concurrent webhook processing (default: 5)
     // Prevents memory/CPU overload on resource-constrained environments (e.g., Render free tier)
+    // Jobs live in Redis so nothing is lost when the process restarts
     const concurrency = parseInt(process.env.QUEUE_CONCURRENCY) || 5;
-    this.queue = new PQueue({ concurrency });
+    this.queue = new JobQueue(redisClient, { name: 'sync', concurrency });
+    this.queue.register('inventory_update', ({ sourceStore, webhookData }) =>
+      this.serializeItem(`${sourceStore}:${webhookData.location_id}:${webhookData.inventory_item_id}`, () =>
+        this.processInventoryUpdate(sourceStore, webhookData)
+      )
+    );
+    this.queue.register('debounced_sync', data => this.runDebouncedSync(data));
+    this.queue.register('sync_retry', operation => this.executeOperation(operation));
+    this.queue.register('product_update', ({ storeName, topic, product }) =>
+      this.processProductUpdate(storeName, topic, product)
+    );
+    this.queue.register('order_event', ({ storeName, topic, payload, attempts }) =>
+      this.processOrderEvent(storeName, topic, payload, attempts)
+    );
+
+    // Webhooks of one item at one location run one at a time, in arrival order:
+    // workers running them side by side would compute deltas from the same level
+    this.itemChains = new Map();
+
+    this.debouncer = new Debouncer(redisClient, this.queue, { delay: this.debounceDelay });
+    metrics.watchQueue(this.queue, this.debouncer);
+
+    // Levels we wrote ourselves: their webhook echo must not be synced back
+    const expectedWriteTtl = parseInt(process.env.EXPECTED_WRITE_TTL) || 60;
+    this.expectedWrites = new ExpectedWrites(redisClient, { ttl: expectedWriteTtl });
+
+    // Failed writes: transient errors are retried with exponential backoff
+    // (30s, 1min, 2min...) before landing in the dead-letter list
+    this.maxAttempts = parseInt(process.env.SYNC_MAX_ATTEMPTS) || 5;
+    this.retryBaseDelay = parseInt(process.env.SYNC_RETRY_DELAY) || 30000;
+    this.deadLetters = new DeadLetterQueue(redisClient);
+
+    // Compare-and-set writes: how many fresh reads before giving up on a busy item
+    this.maxCasAttempts = parseInt(process.env.SYNC_CAS_ATTEMPTS) || 3;
+
+    // Allocation rules: safety stock, caps and percentage splits per target store
+    this.allocation = new AllocationRules(redisClient);
+
+    // Dry-run: writes to the stores in shadow mode are logged, not applied
+    this.dryRun = new DryRunMode(redisClient, { enabled: process.env.DRY_RUN === 'true' });
+
+    // Sync events and errors, kept in a Redis Stream (about 100,000 entries by default)
+    this.history = new SyncHistory(redisClient, {
+      maxLength: parseInt(process.env.SYNC_HISTORY_MAXLEN) || 100000
+    });
+
+    // Per-product timeline of every step, kept 30 days after the last event
+    this.timeline = new ProductTimeline(redisClient, {
+      maxLength: parseInt(process.env.TIMELINE_MAXLEN) || 1000,
+      ttl: (parseInt(process.env.TIMELINE_TTL_DAYS) || 30) * 86400
+    });
+
+    // Notify when a synced product goes below this level (LOW_STOCK_THRESHOLD, off by default)
+    this.lowStockThreshold = process.env.LOW_STOCK_THRESHOLD ? parseInt(process.env.LOW_STOCK_THRESHOLD) : null;
+
+    // Webhook ids are remembered for 48h, Shopify's redelivery window
+    const deliveryTtl = parseInt(process.env.WEBHOOK_ID_TTL) || 172800;
+    this.deliveries = new WebhookDeliveries(redisClient, { ttl: deliveryTtl });
+  }
+
+  async start() {
+    this.catalog.start();
+    await this.queue.start();
+    this.debouncer.start();
+  }
+
+  async stop() {
+    this.catalog.stop();
+    await this.debouncer.stop();
+    await this.queue.stop();
+  }
+
+  serializeItem(key, task) {
+    const previous = this.itemChains.get(key) || Promise.resolve();
+    const result = previous.then(task);
+    const chain = result.catch(() => {});
+    this.itemChains.set(key, chain);
+    chain.then(() => {
+      if (this.itemChains.get(key) === chain) this.itemChains.delete(key);
+    });
+    return result;
   }
 
   async handleInventoryUpdate(sourceStore, webhookData) {
-    // Add to queue to prevent overload - queue will process with limited concurrency
-    await this.queue.add(() => this.processInventoryUpdate(sourceStore, webhookData));
+    if (this.mode === 'orders') {
+      // Orders and refunds carry the changes; the level would apply them twice
+      logger.debug('Skipping inventory webhook in orders mode', { store: sourceStore, inventoryItemId: webhookData.inventory_item_id });
+      metrics.webhooksSkipped.inc({ store: sourceStore, reason: 'orders_mode' });
+      return;
+    }
+
+    // Persist the job - the queue will process it with limited concurrency
+    await this.queue.enqueue('inventory_update', { sourceStore, webhookData });
+  }
+
+  /**
+   * Key identifying a product across stores. It is the EAN for barcode
+   * matches; SKU matches and explicit mappings use "sku:<sku>" and
+   * "map:<id>" keys, so caches, debounce windows and logs work unchanged.
+   */
+  async resolveSyncKey(storeName, variant) {
+    const mapping = await this.mappings.findByInventoryItem(storeName, variant.inventory_item_id);
+    if (mapping) return `map:${mapping.id}`;
+
+    for (const mode of this.matchModes) {
+      if (mode === 'barcode' && variant.barcode) return variant.barcode;
+      if (mode === 'sku' && variant.sku) return `sku:${variant.sku}`;
+    }
+    return null;
+  }
+
+  /**
+   * Variant of a store for a sync key. With sourceStore, a barcode missing
+   * from this store falls back to the SKU of the source variant when
+   * SYNC_MATCH_MODE includes "sku": barcodes may differ between shops.
+   */
+  async findVariant(storeName, syncKey, sourceStore = null) {
+    if (syncKey.startsWith('map:')) {
+      const mapping = await this.mappings.get(syncKey.slice(4));
+      const variant = mapping && mapping.variants[storeName];
+      return variant ? this.catalog.findByInventoryItem(storeName, variant.inventoryItemId) : null;
+    }
+    if (syncKey.startsWith('sku:')) {
+      return this.catalog.findBySku(storeName, syncKey.slice(4));
+    }
+
+    const entry = await this.catalog.findByBarcode(storeName, syncKey);
+    if (entry || !sourceStore || !this.matchModes.includes('sku')) return entry;
+
+    const source = await this.catalog.findByBarcode(sourceStore, syncKey);
+    return source && source.variant.sku ? this.catalog.findBySku(storeName, source.variant.sku) : null;
+  }
+
+  // Key the target store's own webhooks use for a variant, which a SKU fallback makes differ
+  async targetSyncKey(targetStore, targetVariant, ean) {
+    return (await this.resolveSyncKey(targetStore, targetVariant)) || ean;
+  }
+
+  async handleProductUpdate(storeName, topic, product) {
+    await this.queue.enqueue('product_update', { storeName, topic, product });
+  }
+
+  async processProductUpdate(storeName, topic, product) {
+    try {
+      if (topic === 'products/delete') {
+        await this.catalog.removeProduct(storeName, product.id);
+      } else {
+        await this.catalog.upsertProduct(storeName, product);
+      }
+    } catch (error) {
+      logger.error('Error handling product webhook', { store: storeName, topic, productId: product.id, error });
+      await this.logError(error, storeName, { topic, productId: product.id });
+    }
   }
 
   async processInventoryUpdate(sourceStore, webhookData) {
     try {
-      console.log(`\n📥 Inventory update from ${sourceStore}:`, JSON.stringify(webhookData, null, 2));
+      logger.info('Inventory update received', { store: sourceStore, inventoryItemId: webhookData.inventory_item_id, locationId: webhookData.location_id, available: webhookData.available });
+      logger.debug('Inventory update payload', { store: sourceStore, payload: webhookData });
 
       const { inventory_item_id, location_id, available } = webhookData;
 
-      // Check if this is the correct location for this store
-      const sourceService = sourceStore === 'store1' ? this.store1 : this.store2;
-      const expectedLocationId = parseInt(sourceService.locationId);
+      // Check if this location is part of a synced location pair
+      const pair = this.locations.forLocation(sourceStore, location_id);
 
-      if (location_id !== expectedLocationId) {
-        // Try to get product info even if wrong location
+      if (!pair) {
+        logger.info('Skipping: location is not part of any location pair', { store: sourceStore, locationId: location_id });
+        metrics.webhooksSkipped.inc({ store: sourceStore, reason: 'wrong_location' });
+
+        // Show product info even if wrong location, and keep it on its timeline
         try {
-          const allProducts = await sourceService.getProductsByTag(this.syncTag);
-          for (const p of allProducts) {
-            for (const v of p.variants) {
-              if (v.inventory_item_id === inventory_item_id) {
-                console.log(`⏭️  Skipping - not ${sourceService.locationName} location (got ${location_id}, expected ${expectedLocationId})`);
-                console.log(`   📦 Product: "${p.title}" | SKU: ${v.sku || 'N/A'} | EAN: ${v.barcode || 'N/A'}`);
-                return;
-              }
+          const entry = await this.catalog.findByInventoryItem(sourceStore, inventory_item_id);
+          if (entry) {
+            logger.debug('Skipped product', { store: sourceStore, title: entry.product.title, sku: entry.variant.sku, ean: entry.variant.barcode });
+            const ean = await this.resolveSyncKey(sourceStore, entry.variant);
+            if (ean) {
+              await this.trace(ean, 'skipped', { reason: 'wrong_location', store: sourceStore, locationId: location_id, available });
             }
           }
         } catch (e) {
           // Ignore errors, just skip
         }
-        console.log(`⏭️  Skipping - not ${sourceService.locationName} location (got ${location_id}, expected ${expectedLocationId})`);
         return;
       }
 
-      // Check if this is a sync we triggered (avoid infinite loop)
-      const lockKey = `sync:lock:${sourceStore}:${inventory_item_id}`;
-      const isLocked = await this.redis.get(lockKey);
+      // Check if this is the echo of a write we made (avoid infinite loop)
+      // Only the exact level we wrote is ignored: any other change still syncs
+      const isOwnWrite = await this.expectedWrites.consume(sourceStore, location_id, inventory_item_id, available);
+
+      if (isOwnWrite) {
+        logger.info('Skipping: echo of our own write', { store: sourceStore, inventoryItemId: inventory_item_id, available });
+        metrics.webhooksSkipped.inc({ store: sourceStore, reason: 'own_write' });
 
-      if (isLocked) {
-        console.log(`🔒 Skipping - sync lock active. Le stock a ete modifie il y a moins de 20 secondes: protection contre les boucles infinies`);
+        const entry = await this.catalog.findByInventoryItem(sourceStore, inventory_item_id);
+        const ean = entry && await this.resolveSyncKey(sourceStore, entry.variant);
+        if (ean) {
+          await this.trace(ean, 'skipped', { reason: 'own_write', store: sourceStore, pair: pair.name, available });
+        }
         return;
       }
 
-      // Find the product by inventory_item_id using CACHE
-      const productData = await this.findProductByInventoryItemCached(sourceService, sourceStore, inventory_item_id);
+      // Find the product by inventory_item_id in the catalog index
+      const productData = await this.catalog.findByInventoryItem(sourceStore, inventory_item_id);
 
       if (!productData) {
-        console.log(`⏭️  Product not found or doesn't have ${this.syncTag} tag`);
+        logger.info('Skipping: product not found or not tagged', { store: sourceStore, inventoryItemId: inventory_item_id, tag: this.syncTag });
+        metrics.webhooksSkipped.inc({ store: sourceStore, reason: 'not_synced' });
         return;
       }
 
       const { product, variant } = productData;
 
       // LOG PRODUCT INFO
-      console.log(`📦 Product: "${product.title}"`);
-      console.log(`   SKU: ${variant.sku || 'N/A'}`);
-      console.log(`   EAN: ${variant.barcode || 'N/A'}`);
-      console.log(`   Variant ID: ${variant.id}`);
+      logger.info('Synced product updated', { store: sourceStore, title: product.title, sku: variant.sku, ean: variant.barcode, variantId: variant.id });
 
-      if (!variant.barcode) {
-        console.log(`⏭️  Variant has no EAN/barcode`);
+      const ean = await this.resolveSyncKey(sourceStore, variant);
+
+      if (!ean) {
+        logger.info('Skipping: variant has no sync key', { store: sourceStore, variantId: variant.id, matchModes: this.matchModes });
+        metrics.webhooksSkipped.inc({ store: sourceStore, reason: 'no_sync_key' });
         return;
       }
 
-      const ean = variant.barcode;
+      await this.trace(ean, 'webhook_received', { store: sourceStore, pair: pair.name, locationId: location_id, available });
 
-      // Get previous value from cache
-      const cacheKey = `inventory:${sourceStore}:${ean}`;
-      const previousValue = await this.redis.get(cacheKey);
+      // Store the new value and get the previous one in a single step
+      const cacheKey = this.inventoryKey(sourceStore, location_id, ean);
+      const previousValue = await this.redis.set(cacheKey, available.toString(), { EX: 3600 * 24, GET: true });
       const previousAvailable = previousValue ? parseInt(previousValue) : null;
 
       // Calculate delta
       let delta = 0;
       if (previousAvailable !== null) {
         delta = available - previousAvailable;
-        console.log(`📊 Delta calculation: ${available} - ${previousAvailable} = ${delta}`);
+        logger.info('Delta computed', { store: sourceStore, ean, previous: previousAvailable, available, delta });
       } else {
-        console.log(`ℹ️  No previous value in cache, will do full sync`);
+        logger.info('No previous value in cache, will do full sync', { store: sourceStore, ean, available });
       }
 
-      // Store new value in cache
-      await this.redis.setEx(cacheKey, 3600 * 24, available.toString());
-
-      // Debounce and sync
-      const debounceKey = `sync:debounce:${sourceStore}:${ean}`;
-      await this.debounce(debounceKey, async () => {
-        if (previousAvailable !== null && delta !== 0) {
-          await this.syncDeltaToOtherStore(sourceStore, ean, delta, available);
-        } else if (previousAvailable === null) {
-          await this.syncFullToOtherStore(sourceStore, ean, available);
-        } else {
-          console.log(`⏭️  No change detected (delta = 0)`);
-        }
+      await this.checkLowStock(sourceStore, pair, ean, product.title, previousAvailable, available);
+      await this.trace(ean, 'delta_computed', {
+        store: sourceStore,
+        previous: previousAvailable,
+        available,
+        delta: previousAvailable === null ? null : delta,
+        type: previousAvailable === null ? 'full' : 'delta'
       });
 
+      // Debounce and sync - every delta of the window is added to the pending one
+      const debounceKey = `${sourceStore}:${pair.name}:${ean}`;
+      const operation = previousAvailable === null
+        ? { sourceStore, pair: pair.name, ean, type: 'full', available }
+        : { sourceStore, pair: pair.name, ean, type: 'delta', delta, available };
+      await this.debouncer.schedule(debounceKey, 'debounced_sync', operation, mergeSyncOperations);
+
     } catch (error) {
-      console.error('❌ Error handling inventory update:', error);
+      logger.error('Error handling inventory update', { store: sourceStore, error });
       await this.logError(error, sourceStore, webhookData);
     }
   }
 
-  async findProductByInventoryItemCached(shopifyService, storeName, inventoryItemId) {
-    // Try to get from cache first
-    const cacheKey = `products:${storeName}:${this.syncTag}`;
-    let cachedProducts = await this.redis.get(cacheKey);
+  async handleOrderEvent(storeName, topic, payload) {
+    if (this.mode !== 'orders') {
+      logger.debug('Skipping order webhook in inventory mode', { store: storeName, topic });
+      metrics.webhooksSkipped.inc({ store: storeName, reason: 'inventory_mode' });
+      return;
+    }
 
-    if (!cachedProducts) {
-      console.log(`🔄 Cache miss - loading products with tag "${this.syncTag}" from ${storeName}...`);
+    await this.queue.enqueue('order_event', { storeName, topic, payload });
+  }
+
+  /**
+   * Orders mode: orders/create takes the ordered quantities out of stock,
+   * restocking refunds put them back. A cancellation that restocks creates a
+   * refund too, which also arrives as refunds/create: refunds are applied once
+   * per id, whichever webhook brings them first.
+   *
+   * A webhook that fails part-way is retried with the same backoff as writes;
+   * the lines it already applied are remembered and not applied again.
+   */
+  async processOrderEvent(storeName, topic, payload, attempts = 0) {
+    try {
+      if (topic === 'orders/create') {
+        const pair = this.pairForLocation(storeName, payload.location_id);
+        const changes = (payload.line_items || []).map(lineItem => ({ pair, lineItem, quantity: -lineItem.quantity }));
+        await this.applyOrderEvent(storeName, 'order', payload.id, changes, { orderId: payload.id });
+      } else if (topic === 'orders/cancelled') {
+        for (const refund of payload.refunds || []) {
+          await this.processRefund(storeName, refund);
+        }
+      } else if (topic === 'refunds/create') {
+        await this.processRefund(storeName, payload);
+      } else {
+        logger.warn('Unexpected order webhook topic', { store: storeName, topic });
+      }
+    } catch (error) {
+      logger.error('Error handling order webhook', { store: storeName, topic, id: payload.id, error });
+      await this.logError(error, storeName, { topic, id: payload.id });
+
+      if (attempts + 1 < this.maxAttempts) {
+        const delay = this.retryBaseDelay * Math.pow(2, attempts);
+        await this.queue.enqueue('order_event', { storeName, topic, payload, attempts: attempts + 1 }, { delay });
+        logger.warn('Order webhook will be retried', { store: storeName, topic, id: payload.id, delayMs: delay, attempt: attempts + 2, maxAttempts: this.maxAttempts });
+      }
+    }
+  }
 
-      // Load products with sync tag
-      const products = await shopifyService.getProductsByTag(this.syncTag);
+  async processRefund(storeName, refund) {
+    const changes = (refund.refund_line_items || [])
+      .filter(refundLine => RESTOCK_TYPES.includes(refundLine.restock_type))
+      .map(refundLine => ({
+        pair: this.pairForLocation(storeName, refundLine.location_id),
+        lineItem: refundLine.line_item,
+        quantity: refundLine.quantity
+      }));
+    await this.applyOrderEvent(storeName, 'refund', refund.id, changes, { orderId: refund.order_id, refundId: refund.id });
+  }
 
-      // Store in cache for 1 hour
-      await this.redis.setEx(cacheKey, this.cacheDuration, JSON.stringify(products));
-      cachedProducts = JSON.stringify(products);
+  /**
+   * Apply an order or refund once. It is marked applied only when all its
+   * lines are, each line being remembered as soon as it is: a retry after a
+   * failure applies the rest only. A lock keeps two deliveries of the same id
+   * from running at once.
+   */
+  async applyOrderEvent(storeName, kind, id, changes, origin) {
+    const key = `orders:applied:${storeName}:${kind}:${id}`;
+    const lockKey = `${key}:lock`;
+
+    if (await this.redis.exists(key) || !(await this.redis.set(lockKey, '1', { NX: true, EX: 300 }))) {
+      logger.info(`Skipping ${kind} already applied or being applied`, { store: storeName, id });
+      metrics.webhooksSkipped.inc({ store: storeName, reason: 'already_applied' });
+      return;
+    }
 
-      console.log(`✅ Cached ${products.length} products for ${storeName}`);
-    } else {
-      console.log(`✅ Cache hit - using cached products for ${storeName}`);
+    try {
+      await this.applyOrderChanges(storeName, changes, origin, `${key}:lines`);
+      await this.redis.set(key, '1', { EX: ORDER_EVENT_TTL });
+    } finally {
+      await this.redis.del(lockKey);
     }
+  }
 
-    const products = JSON.parse(cachedProducts);
+  // Pair of the location an order or refund names, else the store's default pair
+  pairForLocation(storeName, locationId) {
+    const pair = locationId ? this.locations.forLocation(storeName, locationId) : null;
+    return pair || (this.ordersPair ? this.locations.get(this.ordersPair) : this.locations.forStore(storeName)[0] || null);
+  }
 
-    // Find product with matching inventory_item_id
-    for (const product of products) {
-      for (const variant of product.variants) {
-        if (variant.inventory_item_id === inventoryItemId) {
-          console.log(`✅ Found product: ${product.title} (inventory_item_id: ${inventoryItemId})`);
-          return { product, variant };
-        }
+  async applyOrderChanges(sourceStore, changes, origin, appliedLinesKey) {
+    // Several lines of the same variant make one delta
+    const deltas = new Map();
+    for (const { pair, lineItem, quantity } of changes) {
+      if (!lineItem || !lineItem.variant_id || !quantity) continue;
+      if (!pair) {
+        logger.info('Skipping order line: store is not part of any location pair', { store: sourceStore, ...origin });
+        continue;
       }
+
+      const entry = await this.catalog.findByProductVariant(sourceStore, lineItem.product_id, lineItem.variant_id);
+      const ean = entry && await this.resolveSyncKey(sourceStore, entry.variant);
+      if (!ean) {
+        logger.info('Skipping order line: product not synced', { store: sourceStore, variantId: lineItem.variant_id, ...origin });
+        continue;
+      }
+
+      const key = `${pair.name}:${ean}`;
+      if (!deltas.has(key)) {
+        deltas.set(key, { pair, ean, entry, delta: 0 });
+      }
+      deltas.get(key).delta += quantity;
     }
 
-    return null;
-  }
+    for (const [line, { pair, ean, entry, delta }] of deltas) {
+      if (await this.redis.sIsMember(appliedLinesKey, line)) continue;
+
+      // The level after the order: allocation rules and caches work from it
+      const locationId = this.locations.locationId(pair, sourceStore);
+      const level = await this.stores.get(sourceStore).getInventoryLevel(entry.variant.inventory_item_id, locationId);
+      if (!level) {
+        logger.info('Skipping order line: not stocked at the pair location', { store: sourceStore, ean, pair: pair.name, ...origin });
+        await this.markOrderLineApplied(appliedLinesKey, line);
+        continue;
+      }
 
-  async getProductByEanCached(shopifyService, storeName, ean) {
-    console.log(`🔍 Searching for product with EAN ${ean} in ${storeName} (cached)...`);
+      const available = level.available || 0;
+      await this.redis.setEx(this.inventoryKey(sourceStore, locationId, ean), 3600 * 24, available.toString());
+      await this.checkLowStock(sourceStore, pair, ean, entry.product.title, available - delta, available);
 
-    // Try to get from cache first
-    const cacheKey = `products:${storeName}:${this.syncTag}`;
-    let cachedProducts = await this.redis.get(cacheKey);
+      logger.info('Order delta computed', { store: sourceStore, ean, pair: pair.name, delta, available, ...origin });
+      await this.trace(ean, 'order_delta', { store: sourceStore, pair: pair.name, delta, available, ...origin });
+      await this.syncDeltaToOtherStore(sourceStore, ean, delta, available, pair.name);
+      await this.markOrderLineApplied(appliedLinesKey, line);
+    }
+  }
 
-    if (!cachedProducts) {
-      console.log(`🔄 Cache miss - loading products with tag "${this.syncTag}" from ${storeName}...`);
+  async markOrderLineApplied(key, line) {
+    await this.redis.multi()
+      .sAdd(key, line)
+      .expire(key, ORDER_EVENT_TTL)
+      .exec();
+  }
 
-      // Load products with sync tag
-      const products = await shopifyService.getProductsByTag(this.syncTag);
+  /**
+   * Last value seen at one location, used to turn absolute webhooks into deltas.
+   * The location synced before location pairs existed keeps its old key: a
+   * cache gone cold would turn the first webhook of every product into a full
+   * sync overwriting the other stores.
+   */
+  inventoryKey(storeName, locationId, ean) {
+    if (this.locations.isLegacyLocation(storeName, locationId)) {
+      return `inventory:${storeName}:${ean}`;
+    }
+    return `inventory:${storeName}:${locationId}:${ean}`;
+  }
 
-      // Store in cache for 1 hour
-      await this.redis.setEx(cacheKey, this.cacheDuration, JSON.stringify(products));
-      cachedProducts = JSON.stringify(products);
+  async syncDeltaToOtherStore(sourceStore, ean, delta, newValue, pairName) {
+    const pair = this.locations.get(pairName).name;
+    return this.forEachTarget(sourceStore, pair, targetStore =>
+      this.executeOperation({ type: 'delta', sourceStore, targetStore, pair, ean, delta, newValue })
+    );
+  }
 
-      console.log(`✅ Cached ${products.length} products for ${storeName}`);
-    } else {
-      console.log(`✅ Cache hit - using cached products for ${storeName}`);
+  async syncFullToOtherStore(sourceStore, ean, available, pairName) {
+    const pair = this.locations.get(pairName).name;
+    return this.forEachTarget(sourceStore, pair, targetStore =>
+      this.executeOperation({ type: 'full', sourceStore, targetStore, pair, ean, available })
+    );
+  }
+
+  async forEachTarget(sourceStore, pairName, syncToTarget) {
+    // A failing store must not prevent the others from receiving the change
+    const results = [];
+    for (const targetStore of this.locations.others(this.locations.get(pairName), sourceStore)) {
+      results.push({ targetStore, status: await syncToTarget(targetStore) });
     }
+    return results;
+  }
 
-    const products = JSON.parse(cachedProducts);
+  /**
+   * Apply one operation to its target store.
+   * Returns 'applied', 'dry_run', 'skipped', 'not_found', 'retrying' or 'dead_letter'.
+   */
+  async executeOperation(operation) {
+    const attempt = {
+      ...operation,
+      id: operation.id || crypto.randomUUID(),
+      attempts: (operation.attempts || 0) + 1
+    };
+    const { type, sourceStore, targetStore, ean } = attempt;
+    const options = { operationId: attempt.id, pairName: attempt.pair };
 
-    // Find product with matching EAN
-    for (const product of products) {
-      for (const variant of product.variants) {
-        if (variant.barcode === ean) {
-          console.log(`✅ Found product: ${product.title} (EAN: ${ean})`);
-          return { product, variant };
-        }
+    let status;
+    try {
+      // A retry or replay runs long after the webhook: the level it carried
+      // would overwrite every sale made since, so a full sync reads it again
+      if (type === 'full' && operation.attempts !== undefined) {
+        attempt.available = await this.readSourceLevel(ean, sourceStore, attempt.pair);
       }
+
+      status = type === 'delta'
+        ? await this.syncDeltaToStore(sourceStore, targetStore, ean, attempt.delta, attempt.newValue, options)
+        : await this.syncFullToStore(sourceStore, targetStore, ean, attempt.available, options);
+    } catch (error) {
+      status = await this.handleFailedOperation(attempt, error);
     }
 
-    console.log(`❌ Product with EAN ${ean} not found in cache for ${storeName}`);
-    return null;
+    metrics.syncOperations.inc({ source_store: sourceStore, target_store: targetStore, type, status });
+    return status;
+  }
+
+  async handleFailedOperation(operation, error) {
+    const failure = {
+      sourceStore: operation.sourceStore,
+      targetStore: operation.targetStore,
+      type: operation.type,
+      attempts: operation.attempts,
+      error: error.message
+    };
+
+    if (this.isTransientError(error) && operation.attempts < this.maxAttempts) {
+      const delay = this.retryBaseDelay * Math.pow(2, operation.attempts - 1);
+      await this.queue.enqueue('sync_retry', operation, { delay });
+      await this.trace(operation.ean, 'write_failed', { ...failure, outcome: 'retrying', retryInMs: delay });
+      logger.warn('Sync will be retried', { type: operation.type, ean: operation.ean, targetStore: operation.targetStore, delayMs: delay, attempt: operation.attempts + 1, maxAttempts: this.maxAttempts, error });
+      return 'retrying';
+    }
+
+    await this.deadLetters.add(operation, error);
+    await this.trace(operation.ean, 'write_failed', { ...failure, outcome: 'dead_letter' });
+    await this.logError(error, operation.sourceStore, operation);
+    logger.error('Sync moved to the dead-letter list', { type: operation.type, ean: operation.ean, targetStore: operation.targetStore, attempts: operation.attempts, error });
+    return 'dead_letter';
+  }
+
+  isTransientError(error) {
+    // Network errors and Shopify's 429, 5xx and stale compare-and-set writes may
+    // succeed later; other 4xx won't, and other errors (Redis, bugs) are not
+    // the kind a blind retry should repeat
+    return Boolean(error.network) || error.status === 409 || error.status === 429 || error.status >= 500;
+  }
+
+  async replayDeadLetter(id) {
+    const entry = await this.deadLetters.get(id);
+    if (!entry) return null;
+
+    await this.deadLetters.remove(id);
+    logger.info('Replaying dead-letter', { deadLetterId: id, ean: entry.operation.ean, targetStore: entry.operation.targetStore });
+    // A new id: the idempotency keys of the first attempts must not match the replay's
+    return this.executeOperation({ ...entry.operation, id: crypto.randomUUID(), attempts: 0 });
   }
 
-  async syncDeltaToOtherStore(sourceStore, ean, delta, newValue) {
+  async syncDeltaToStore(sourceStore, targetStore, ean, delta, newValue, { operationId = crypto.randomUUID(), pairName } = {}) {
     try {
-      const targetStore = sourceStore === 'store1' ? 'store2' : 'store1';
-      const targetService = targetStore === 'store1' ? this.store1 : this.store2;
+      const targetService = this.stores.get(targetStore);
 
-      console.log(`🔄 Syncing delta for EAN ${ean} from ${sourceStore} to ${targetStore}: ${delta > 0 ? '+' : ''}${delta} (new value: ${newValue})`);
+      logger.info('Syncing delta', { ean, sourceStore, targetStore, delta, newValue });
 
-      // Find product in target store by EAN (using cache)
-      const targetProductData = await this.getProductByEanCached(targetService, targetStore, ean);
+      // Find product in target store by EAN, SKU or mapping (catalog index)
+      const targetProductData = await this.findVariant(targetStore, ean, sourceStore);
 
       if (!targetProductData) {
-        console.log(`⚠️  Product with EAN ${ean} not found in ${targetStore}`);
-        return;
+        logger.warn('Product not found in target store', { ean, targetStore });
+        await this.trace(ean, 'not_found', { sourceStore, targetStore });
+        return 'not_found';
       }
 
-      const { variant: targetVariant } = targetProductData;
+      const { product: targetProduct, variant: targetVariant } = targetProductData;
+
+      // Target location: the one paired with the source location
+      const pair = this.locations.get(pairName);
+      const targetLocationId = this.locations.locationId(pair, targetStore);
+
+      // Allocation rules: move the target between the allocations of the old and new source levels
+      const rule = await this.allocation.findRule(targetStore, ean, targetProduct.tags);
+      if (rule) {
+        const allocatedDelta = this.allocation.allocateDelta(rule, delta, newValue);
+        logger.info('Allocation rule applied to delta', { ruleId: rule.id, scope: rule.scope, targetStore, delta, allocatedDelta });
+        await this.trace(ean, 'allocated', { targetStore, ruleId: rule.id, scope: rule.scope, delta, allocatedDelta });
+        delta = allocatedDelta;
 
-      // Use the configured location ID for target store
-      const targetLocationId = parseInt(targetService.locationId);
+        if (delta === 0) {
+          logger.info('Nothing to change after allocation', { ean, targetStore });
+          return 'skipped';
+        }
+      }
 
-      // Set sync lock to prevent infinite loop
-      const lockKey = `sync:lock:${targetStore}:${targetVariant.inventory_item_id}`;
-      await this.redis.setEx(lockKey, 20, '1'); // Lock for 20 seconds
+      if (await this.dryRun.isEnabled(targetStore)) {
+        return this.recordDryRun(targetService, targetVariant, targetLocationId, {
+          type: 'delta', sourceStore, targetStore, pair: pair.name, ean, delta, newValue
+        });
+      }
 
-      // Apply delta to target store
-      await targetService.adjustInventoryLevel(
-        targetVariant.inventory_item_id,
-        targetLocationId,
-        delta
+      // Apply delta to target store (compare-and-set on the level just read)
+      const result = await this.writeWithFreshRead(targetService, targetVariant.inventory_item_id, targetLocationId, operationId,
+        currentQuantity => currentQuantity === null ? null : currentQuantity + delta,
+        (compareQuantity, idempotencyKey) => targetService.adjustInventoryLevel(
+          targetVariant.inventory_item_id,
+          targetLocationId,
+          delta,
+          { compareQuantity, idempotencyKey }
+        )
       );
 
-      // Update cache for target store
-      const targetCacheKey = `inventory:${targetStore}:${ean}`;
-      const targetCurrentValue = await this.redis.get(targetCacheKey);
-      if (targetCurrentValue) {
-        const targetNewValue = parseInt(targetCurrentValue) + delta;
+      // The delta is applied: a failure from here on must not send it again
+      try {
+        // Update cache for target store
+        const targetKey = await this.targetSyncKey(targetStore, targetVariant, ean);
+        const targetCacheKey = this.inventoryKey(targetStore, targetLocationId, targetKey);
+        const targetCurrentValue = await this.redis.get(targetCacheKey);
+        const reportedValue = result.inventory_level ? result.inventory_level.available : null;
+        const targetNewValue = reportedValue !== null && reportedValue !== undefined
+          ? reportedValue
+          : (targetCurrentValue ? parseInt(targetCurrentValue) + delta : newValue);
         await this.redis.setEx(targetCacheKey, 3600 * 24, targetNewValue.toString());
-        console.log(`✅ Successfully applied delta ${delta > 0 ? '+' : ''}${delta} to ${targetStore} (${targetCurrentValue} → ${targetNewValue})`);
-      } else {
-        await this.redis.setEx(targetCacheKey, 3600 * 24, newValue.toString());
-        console.log(`✅ Successfully applied delta ${delta > 0 ? '+' : ''}${delta} to ${targetStore} (set to ${newValue})`);
+        const previous = targetCurrentValue === null ? null : parseInt(targetCurrentValue);
+        logger.info('Delta applied', { ean, targetStore, delta, previous, available: targetNewValue });
+        await this.trace(ean, 'write_applied', { sourceStore, targetStore, pair: pair.name, type: 'delta', delta, previous, available: targetNewValue });
+
+        // Log sync event
+        await this.logSyncEvent(sourceStore, targetStore, ean, delta, 'delta', pair.name);
+      } catch (error) {
+        logger.error('Delta applied but not recorded', { ean, targetStore, delta, error });
       }
-
-      // Log sync event
-      await this.logSyncEvent(sourceStore, targetStore, ean, delta, 'delta');
+      return 'applied';
 
     } catch (error) {
-      console.error(`❌ Error syncing delta to other store:`, error);
+      logger.error('Error syncing delta', { ean, targetStore, error });
       throw error;
     }
   }
 
-  async syncFullToOtherStore(sourceStore, ean, available) {
+  async syncFullToStore(sourceStore, targetStore, ean, available, { operationId = crypto.randomUUID(), pairName } = {}) {
     try {
-      const targetStore = sourceStore === 'store1' ? 'store2' : 'store1';
-      const targetService = targetStore === 'store1' ? this.store1 : this.store2;
+      const targetService = this.stores.get(targetStore);
 
-      console.log(`🔄 Full sync for EAN ${ean} from ${sourceStore} to ${targetStore}: ${available} units`);
+      logger.info('Syncing absolute level', { ean, sourceStore, targetStore, available });
 
-      // Find product in target store by EAN (using cache)
-      const targetProductData = await this.getProductByEanCached(targetService, targetStore, ean);
+      // Find product in target store by EAN, SKU or mapping (catalog index)
+      const targetProductData = await this.findVariant(targetStore, ean, sourceStore);
 
       if (!targetProductData) {
-        console.log(`⚠️  Product with EAN ${ean} not found in ${targetStore}`);
-        return;
+        logger.warn('Product not found in target store', { ean, targetStore });
+        await this.trace(ean, 'not_found', { sourceStore, targetStore });
+        return 'not_found';
       }
 
-      const { variant: targetVariant } = targetProductData;
+      const { product: targetProduct, variant: targetVariant } = targetProductData;
 
-      // Use the configured location ID for target store
-      const targetLocationId = parseInt(targetService.locationId);
+      // Target location: the one paired with the source location
+      const pair = this.locations.get(pairName);
+      const targetLocationId = this.locations.locationId(pair, targetStore);
 
-      // Set sync lock to prevent infinite loop
-      const lockKey = `sync:lock:${targetStore}:${targetVariant.inventory_item_id}`;
-      await this.redis.setEx(lockKey, 20, '1'); // Lock for 20 seconds
+      // Allocation rules: the target shows its share of the source stock
+      const rule = await this.allocation.findRule(targetStore, ean, targetProduct.tags);
+      if (rule) {
+        const allocated = this.allocation.allocate(rule, available);
+        logger.info('Allocation rule applied to level', { ruleId: rule.id, scope: rule.scope, targetStore, available, allocated });
+        await this.trace(ean, 'allocated', { targetStore, ruleId: rule.id, scope: rule.scope, available, allocated });
+        available = allocated;
+      }
 
-      // Set absolute value in target store
-      await targetService.setInventoryLevel(
-        targetVariant.inventory_item_id,
-        targetLocationId,
-        available
+      if (await this.dryRun.isEnabled(targetStore)) {
+        return this.recordDryRun(targetService, targetVariant, targetLocationId, {
+          type: 'full', sourceStore, targetStore, pair: pair.name, ean, available
+        });
+      }
+
+      // Set absolute value in target store (compare-and-set on the level just read)
+      await this.writeWithFreshRead(targetService, targetVariant.inventory_item_id, targetLocationId, operationId,
+        () => available,
+        (compareQuantity, idempotencyKey) => targetService.setInventoryLevel(
+          targetVariant.inventory_item_id,
+          targetLocationId,
+          available,
+          { compareQuantity, idempotencyKey }
+        )
       );
 
-      // Update cache for target store
-      const targetCacheKey = `inventory:${targetStore}:${ean}`;
-      await this.redis.setEx(targetCacheKey, 3600 * 24, available.toString());
+      // The level is set: a failure from here on must not send it again
+      try {
+        // Update cache for target store
+        const targetKey = await this.targetSyncKey(targetStore, targetVariant, ean);
+        const targetCacheKey = this.inventoryKey(targetStore, targetLocationId, targetKey);
+        await this.redis.setEx(targetCacheKey, 3600 * 24, available.toString());
 
-      console.log(`✅ Successfully set ${targetStore} to ${available} units`);
+        logger.info('Absolute level set', { ean, targetStore, available });
+        await this.trace(ean, 'write_applied', { sourceStore, targetStore, pair: pair.name, type: 'full', available });
 
-      // Log sync event
-      await this.logSyncEvent(sourceStore, targetStore, ean, available, 'full');
+        // Log sync event
+        await this.logSyncEvent(sourceStore, targetStore, ean, available, 'full', pair.name);
+      } catch (error) {
+        logger.error('Absolute level set but not recorded', { ean, targetStore, available, error });
+      }
+      return 'applied';
 
     } catch (error) {
-      console.error(`❌ Error full syncing to other store:`, error);
+      logger.error('Error syncing absolute level', { ean, targetStore, error });
       throw error;
     }
   }
 
-  async debounce(key, callback) {
-    // Clear existing timeout if any
-    if (this.pendingSyncs.has(key)) {
-      clearTimeout(this.pendingSyncs.get(key));
+  // What each target store would show for a source quantity of this EAN
+  async previewAllocation(ean, quantity, sourceStore = null) {
+    const targets = sourceStore ? this.stores.others(sourceStore) : this.stores.names();
+
+    const preview = [];
+    for (const targetStore of targets) {
+      const entry = await this.findVariant(targetStore, ean, sourceStore);
+      const rule = await this.allocation.findRule(targetStore, ean, entry ? entry.product.tags : '');
+      preview.push({
+        store: targetStore,
+        found: Boolean(entry),
+        rule,
+        quantity: this.allocation.allocate(rule, quantity)
+      });
     }
+    return { ean, sourceQuantity: quantity, targets: preview };
+  }
+
+  async recordDryRun(targetService, targetVariant, locationId, write) {
+    // Reading is harmless: show what the level would go from and to
+    const level = await targetService.getInventoryLevel(targetVariant.inventory_item_id, locationId);
+    const currentQuantity = level ? level.available : null;
+    const expectedQuantity = write.type === 'delta'
+      ? (currentQuantity === null ? null : currentQuantity + write.delta)
+      : write.available;
+
+    await this.dryRun.record({
+      ...write,
+      inventoryItemId: targetVariant.inventory_item_id,
+      locationId,
+      currentQuantity,
+      expectedQuantity
+    });
+
+    const change = write.type === 'delta' ? `apply delta ${write.delta > 0 ? '+' : ''}${write.delta}` : `set ${write.available} units`;
+    logger.info(`[dry-run] Would ${change}`, { ean: write.ean, targetStore: write.targetStore, currentQuantity, expectedQuantity });
+    await this.trace(write.ean, 'dry_run', {
+      sourceStore: write.sourceStore,
+      targetStore: write.targetStore,
+      type: write.type,
+      currentQuantity,
+      expectedQuantity
+    });
+    return 'dry_run';
+  }
 
-    // Set new timeout
-    const timeoutId = setTimeout(async () => {
-      this.pendingSyncs.delete(key);
-      await callback();
-    }, this.debounceDelay);
+  /**
+   * Run a write against the level read just before it. With compare-and-set,
+   * the write fails with a StaleQuantityError when the target changed
+   * underneath us and is retried with a fresh read. Each try gets its own
+   * idempotency key, stable across resends of that same try.
+   *
+   * expectedLevel(currentQuantity) gives the level the write leaves: it is
+   * recorded before the write is sent, so the webhook echo of the write always
+   * finds it (see ExpectedWrites).
+   */
+  async writeWithFreshRead(targetService, inventoryItemId, locationId, operationId, expectedLevel, write) {
+    const compareAndSet = targetService.supportsCompareAndSet();
+    const storeName = targetService.storeName;
+
+    for (let attempt = 1; ; attempt++) {
+      // Read without compare-and-set too: the expected level depends on it
+      const level = await targetService.getInventoryLevel(inventoryItemId, locationId);
+      const currentQuantity = level ? level.available : null;
+      const expected = expectedLevel(currentQuantity);
+      const changes = expected !== null && expected !== currentQuantity;
+
+      if (changes) {
+        await this.expectedWrites.record(storeName, locationId, inventoryItemId, expected);
+      }
 
-    this.pendingSyncs.set(key, timeoutId);
+      let result;
+      try {
+        result = await write(
+          compareAndSet ? currentQuantity : null,
+          compareAndSet ? `${operationId}:${attempt}` : null
+        );
+      } catch (error) {
+        if (changes) {
+          await this.expectedWrites.remove(storeName, locationId, inventoryItemId, expected);
+        }
+        if (!(error instanceof StaleQuantityError) || attempt >= this.maxCasAttempts) {
+          throw error;
+        }
+        logger.warn('Target changed underneath us, retrying with a fresh read', { store: storeName, read: currentQuantity, attempt, maxAttempts: this.maxCasAttempts });
+        continue;
+      }
+
+      // Without compare-and-set, a change made meanwhile shows in the level reported
+      const reported = result.inventory_level ? result.inventory_level.available : null;
+      if (reported !== null && reported !== undefined && reported !== expected) {
+        try {
+          if (changes) {
+            await this.expectedWrites.remove(storeName, locationId, inventoryItemId, expected);
+          }
+          if (reported !== currentQuantity) {
+            await this.expectedWrites.record(storeName, locationId, inventoryItemId, reported);
+          }
+        } catch (error) {
+          logger.warn('Could not correct the expected echo', { store: storeName, inventoryItemId, expected, reported, error });
+        }
+      }
+      return result;
+    }
   }
 
-  async logSyncEvent(sourceStore, targetStore, ean, value, type) {
-    const timestamp = Date.now();
-    const key = `sync:log:${timestamp}:${Math.random().toString(36).substr(2, 9)}`;
-    const logData = {
-      sourceStore,
-      targetStore,
-      ean,
-      value,
-      type,
-      timestamp: new Date().toISOString()
-    };
-    
-    await this.redis.setEx(key, 86400 * 7, JSON.stringify(logData)); // Keep for 7 days
+  async runDebouncedSync(operation) {
+    const { sourceStore, pair, ean, type, delta, available, events } = operation;
+
+    try {
+      if (events > 1) {
+        logger.info('Debounced updates merged', { ean, sourceStore, events, type });
+      }
+      await this.trace(ean, 'debounced', { sourceStore, pair, events: events || 1, type, delta: type === 'delta' ? delta : null, available });
+
+      if (type === 'full') {
+        await this.syncFullToOtherStore(sourceStore, ean, available, pair);
+      } else if (delta !== 0) {
+        await this.syncDeltaToOtherStore(sourceStore, ean, delta, available, pair);
+      } else {
+        logger.info('No change detected (delta = 0)', { ean, sourceStore });
+        await this.trace(ean, 'skipped', { reason: 'no_change', store: sourceStore, pair });
+        metrics.webhooksSkipped.inc({ store: sourceStore, reason: 'no_change' });
+      }
+    } catch (error) {
+      await this.trace(ean, 'error', { sourceStore, error: error.message });
+      await this.logError(error, sourceStore, operation);
+    }
+  }
+
+  // A broken timeline must never stop a sync: failures are only logged
+  async trace(ean, event, data) {
+    try {
+      await this.timeline.record(ean, event, data);
+    } catch (error) {
+      logger.warn('Could not record timeline event', { ean, event, error });
+    }
+  }
+
+  async logSyncEvent(sourceStore, targetStore, ean, value, type, pair = null) {
+    await this.history.add({ type, ean, sourceStore, targetStore, pair, value });
 
     // Increment counter
     await this.redis.incr('sync:count:total');
   }
 
+  // Only a crossing notifies: a product staying low does not repeat it
+  async checkLowStock(storeName, pair, ean, title, previous, available) {
+    const threshold = this.lowStockThreshold;
+    if (threshold === null || previous === null || previous < threshold || available >= threshold) return;
+
+    await notifier.notify('low_stock', `${title} (${ean}) down to ${available} in ${storeName}`, {
+      ean, store: storeName, location: pair.locations[storeName].name, previous, available, threshold
+    });
+  }
+
   async logError(error, sourceStore, webhookData) {
-    const timestamp = Date.now();
-    const key = `error:log:${timestamp}`;
-    await this.redis.setEx(key, 86400 * 7, JSON.stringify({
-      error: error.message,
-      stack: error.stack,
+    await this.history.add({
+      type: 'error',
+      ean: webhookData && webhookData.ean,
       sourceStore,
-      webhookData,
-      timestamp: new Date().toISOString()
-    }));
+      targetStore: webhookData && webhookData.targetStore,
+      pair: webhookData && webhookData.pair,
+      error: error.message,
+      details: webhookData
+    });
 
     await this.redis.incr('error:count:total');
+
+    const ean = webhookData && webhookData.ean;
+    await notifier.notify('sync_error', `${sourceStore}${ean ? ` ${ean}` : ''}: ${error.message}`, {
+      sourceStore,
+      ...(ean ? { ean } : {}),
+      ...(webhookData && webhookData.targetStore ? { targetStore: webhookData.targetStore } : {}),
+      ...(webhookData && webhookData.pair ? { pair: webhookData.pair } : {})
+    });
   }
 
   async getStats() {
     const totalSyncs = await this.redis.get('sync:count:total') || 0;
     const totalErrors = await this.redis.get('error:count:total') || 0;
-    
+    const deadLetters = await this.deadLetters.count();
+    const duplicateWebhooks = await this.deliveries.getDuplicateCount();
+
+    const rateLimits = {};
+    for (const store of this.stores.all()) {
+      rateLimits[store.storeName] = store.getRateLimitState();
+    }
+
     return {
       totalSyncs: parseInt(totalSyncs),
       totalErrors: parseInt(totalErrors),
+      deadLetters,
+      duplicateWebhooks,
+      rateLimits,
+      mode: this.mode,
+      locationPairs: this.locations.all().map(({ name, locations }) => ({ name, locations })),
       timestamp: new Date().toISOString()
     };
   }
 
-  async getLogs(limit = 50) {
-    const keys = await this.redis.keys('sync:log:*');
-    const sortedKeys = keys.sort().reverse().slice(0, limit);
-    
-    const logs = [];
-    for (const key of sortedKeys) {
-      const data = await this.redis.get(key);
-      if (data) {
-        logs.push(JSON.parse(data));
-      }
-    }
-    
-    return logs;
+  // Filters: ean, store (source or target), type, from/to (ms), cursor, limit, order
+  async getLogs(filters = {}) {
+    return this.history.query(filters);
   }
 
   async clearCache(ean, storeName) {
     if (ean) {
-      // Clear inventory cache for specific product
-      const inventoryCacheKey = `inventory:${storeName}:${ean}`;
-      await this.redis.del(inventoryCacheKey);
-      console.log(`🗑️  Inventory cache cleared for EAN ${ean} in ${storeName}`);
+      // Clear inventory cache for specific product, at every synced location
+      for (const pair of this.locations.forStore(storeName)) {
+        const locationId = this.locations.locationId(pair, storeName);
+        await this.redis.del(this.inventoryKey(storeName, locationId, ean));
+      }
+      logger.info('Inventory cache cleared', { ean, store: storeName });
     }
 
-    // Clear products cache (will force reload on next webhook)
-    const productsCacheKey = `products:${storeName}:${this.syncTag}`;
-    await this.redis.del(productsCacheKey);
+    // Rebuild the catalog index in the background
+    this.refreshCache(storeName);
+  }
 
-    console.log(`🗑️  Products cache cleared for ${storeName}`);
+  refreshCache(storeName) {
+    logger.info('Catalog refresh triggered', { store: storeName });
+    return this.catalog.refresh(storeName).catch(error => {
+      logger.error('Catalog refresh failed', { store: storeName, error });
+    });
   }
 
-  async refreshCache(storeName) {
-    const productsCacheKey = `products:${storeName}:${this.syncTag}`;
-    await this.redis.del(productsCacheKey);
-    console.log(`🔄 Products cache cleared for ${storeName} - will reload on next webhook`);
+  async manualSync(ean, sourceStore, pairName) {
+    const available = await this.readSourceLevel(ean, sourceStore, pairName);
+    return this.syncFullToOtherStore(sourceStore, ean, available, pairName);
   }
 
-  async manualSync(ean, sourceStore) {
-    const sourceService = sourceStore === 'store1' ? this.store1 : this.store2;
+  // Current level of a product at the source store's location of a pair
+  async readSourceLevel(ean, sourceStore, pairName) {
+    const sourceService = this.stores.get(sourceStore);
+    const pair = this.locations.get(pairName);
 
-    const productData = await this.getProductByEanCached(sourceService, sourceStore, ean);
+    const productData = await this.findVariant(sourceStore, ean);
     if (!productData) {
       throw new Error(`Product with EAN ${ean} not found in ${sourceStore}`);
     }
 
     const { variant } = productData;
-    const locationId = parseInt(sourceService.locationId);
+    const locationId = this.locations.locationId(pair, sourceStore);
     const inventoryLevel = await sourceService.getInventoryLevel(
       variant.inventory_item_id,
       locationId
     );
+    if (!inventoryLevel) {
+      throw new Error(`Product with EAN ${ean} is not stocked at "${pair.locations[sourceStore].name}" in ${sourceStore}`);
+    }
 
-    await this.syncFullToOtherStore(sourceStore, ean, inventoryLevel.available);
+    return inventoryLevel.available;
   }
 }
 
@@ -0,0 +1,70 @@
+const logger = require('./logger');
+
+/**
+ * Everything that happened to one product, in order: one Redis Stream per
+ * sync key (EAN, "sku:<sku>" or "map:<id>"), capped to roughly maxLength
+ * events and dropped after ttl seconds without activity.
+ *
+ * Events: webhook_received, skipped, delta_computed, order_delta, debounced,
+ * allocated, write_applied, dry_run, not_found, write_failed,
+ * reconcile_repaired, error.
+ */
+class ProductTimeline {
+  constructor(redisClient, { maxLength = 1000, ttl = 30 * 86400 } = {}) {
+    this.redis = redisClient;
+    this.maxLength = maxLength;
+    this.ttl = ttl;
+  }
+
+  key(ean) {
+    return `timeline:${ean}`;
+  }
+
+  async record(ean, event, data = {}) {
+    const key = this.key(ean);
+    const message = { event, data: JSON.stringify(data) };
+    const correlationId = logger.correlationId();
+    if (correlationId) message.correlationId = correlationId;
+
+    await this.redis.multi()
+      .xAdd(key, '*', message, {
+        TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.maxLength }
+      })
+      .expire(key, this.ttl)
+      .exec();
+  }
+
+  /**
+   * One page of events, newest first unless order is "asc"; from/to in epoch
+   * milliseconds. nextCursor (the id of the last event returned) gets the next
+   * page, and is null on the last one.
+   */
+  async list(ean, { from, to, cursor, limit = 500, order = 'desc' } = {}) {
+    const descending = order !== 'asc';
+    let low = from ? String(from) : '-';
+    let high = to ? String(to) : '+';
+    if (cursor) {
+      if (descending) high = `(${cursor}`;
+      else low = `(${cursor}`;
+    }
+
+    // One more than the page: tells whether another page follows
+    const entries = descending
+      ? await this.redis.xRevRange(this.key(ean), high, low, { COUNT: limit + 1 })
+      : await this.redis.xRange(this.key(ean), low, high, { COUNT: limit + 1 });
+    const page = entries.slice(0, limit);
+
+    return {
+      events: page.map(({ id, message }) => ({
+        id,
+        timestamp: new Date(parseInt(id.split('-')[0])).toISOString(),
+        event: message.event,
+        correlationId: message.correlationId || null,
+        ...JSON.parse(message.data)
+      })),
+      nextCursor: entries.length > limit ? page[page.length - 1].id : null
+    };
+  }
+}
+
+module.exports = ProductTimeline;
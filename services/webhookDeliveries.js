@@ -0,0 +1,37 @@
+/**
+ * Delivery ids (X-Shopify-Webhook-Id) of the webhooks already accepted.
+ * Shopify keeps the same id when it redelivers a webhook, so an id seen
+ * twice is a duplicate that must be acknowledged but not processed.
+ */
+class WebhookDeliveries {
+  constructor(redisClient, { ttl = 172800 } = {}) {
+    this.redis = redisClient;
+    this.ttl = ttl;
+    this.duplicatesKey = 'webhook:count:duplicates';
+  }
+
+  key(webhookId) {
+    return `webhook:delivery:${webhookId}`;
+  }
+
+  // true the first time an id is seen
+  async register(webhookId) {
+    const result = await this.redis.set(this.key(webhookId), '1', { NX: true, EX: this.ttl });
+    return result === 'OK';
+  }
+
+  // Forget an id whose processing could not be queued, so Shopify's retry goes through
+  async release(webhookId) {
+    await this.redis.del(this.key(webhookId));
+  }
+
+  async recordDuplicate() {
+    await this.redis.incr(this.duplicatesKey);
+  }
+
+  async getDuplicateCount() {
+    return parseInt(await this.redis.get(this.duplicatesKey) || 0);
+  }
+}
+
+module.exports = WebhookDeliveries;
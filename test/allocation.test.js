@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AllocationRules = require('../services/allocation');
+const HttpError = require('../services/httpError');
+
+const allocation = new AllocationRules(null);
+const rule = fields => allocation.validate({ scope: 'global', ...fields });
+
+test('without a rule the source quantity and delta go through unchanged', () => {
+  assert.equal(allocation.allocate(null, 7), 7);
+  assert.equal(allocation.allocateDelta(null, -3, 7), -3);
+});
+
+test('a percentage rounds down to whole units', () => {
+  assert.equal(allocation.allocate(rule({ percentage: 50 }), 7), 3);
+  assert.equal(allocation.allocate(rule({ percentage: 33 }), 10), 3);
+  assert.equal(allocation.allocate(rule({ percentage: 100 }), 9), 9);
+  assert.equal(allocation.allocate(rule({ percentage: 0 }), 9), 0);
+});
+
+test('percentage, safety stock and cap apply in that order', () => {
+  // 50% of 40 = 20, minus 2 held back = 18, capped at 15
+  assert.equal(allocation.allocate(rule({ percentage: 50, safetyStock: 2, maxQuantity: 15 }), 40), 15);
+  // 50% of 10 = 5, minus 2 = 3, under the cap
+  assert.equal(allocation.allocate(rule({ percentage: 50, safetyStock: 2, maxQuantity: 15 }), 10), 3);
+});
+
+test('a zero or negative level never allocates below zero', () => {
+  const safety = rule({ safetyStock: 5 });
+  assert.equal(allocation.allocate(safety, 3), 0);
+  assert.equal(allocation.allocate(safety, 0), 0);
+  assert.equal(allocation.allocate(rule({ percentage: 50 }), -4), 0);
+
+  // Overselling further below the safety stock moves nothing
+  assert.equal(allocation.allocateDelta(safety, -5, -2), 0);
+});
+
+test('deltas follow the allocated level, rounding included', () => {
+  const half = rule({ percentage: 50 });
+  // 10 -> 9: 5 -> 4
+  assert.equal(allocation.allocateDelta(half, -1, 9), -1);
+  // 9 -> 8: 4 -> 4
+  assert.equal(allocation.allocateDelta(half, -1, 8), 0);
+
+  // One unit at a time from 10 to 3 adds up to the allocation of 3 minus that of 10
+  let total = 0;
+  for (let level = 9; level >= 3; level--) {
+    total += allocation.allocateDelta(half, -1, level);
+  }
+  assert.equal(total, allocation.allocate(half, 3) - allocation.allocate(half, 10));
+});
+
+test('a rule allocating more than 100% or a negative quantity is rejected', () => {
+  for (const fields of [{ percentage: 150 }, { percentage: -5 }, { safetyStock: -1 }, { maxQuantity: 'many' }, {}]) {
+    assert.throws(() => rule(fields), error => error instanceof HttpError && error.status === 400, JSON.stringify(fields));
+  }
+});
+
+test('numbers given as strings are accepted', () => {
+  assert.deepEqual(rule({ percentage: '50', safetyStock: '2' }), {
+    scope: 'global', value: null, store: null, percentage: 50, safetyStock: 2, maxQuantity: null
+  });
+});
+
+test('the most specific rule wins: EAN, tag, then global, a named store first', async () => {
+  const rules = [
+    { scope: 'global', value: null, store: null, percentage: 10, createdAt: '1' },
+    { scope: 'tag', value: 'bio', store: null, percentage: 20, createdAt: '2' },
+    { scope: 'tag', value: 'bio', store: 'store2', percentage: 30, createdAt: '3' },
+    { scope: 'ean', value: '123', store: 'store3', percentage: 40, createdAt: '4' }
+  ];
+  const stored = new AllocationRules({ hVals: async () => rules.map(entry => JSON.stringify(entry)) });
+
+  assert.equal((await stored.findRule('store2', '123', 'bio, sync-stock')).percentage, 30);
+  assert.equal((await stored.findRule('store3', '123', 'bio')).percentage, 40);
+  assert.equal((await stored.findRule('store3', '456', 'bio')).percentage, 20);
+  assert.equal((await stored.findRule('store3', '456', '')).percentage, 10);
+});
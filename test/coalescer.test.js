@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeSyncOperations, coalesce } = require('../services/coalescer');
+
+const delta = (value, available) => ({ sourceStore: 'store1', ean: '123', type: 'delta', delta: value, available });
+const full = available => ({ sourceStore: 'store1', ean: '123', type: 'full', available });
+
+test('a single operation is kept as is', () => {
+  assert.deepEqual(mergeSyncOperations(null, delta(-1, 9)), { ...delta(-1, 9), events: 1 });
+});
+
+test('two fast sales are summed instead of keeping the last one', () => {
+  // 10 -> 9 -> 8
+  const merged = coalesce([delta(-1, 9), delta(-1, 8)]);
+  assert.equal(merged.type, 'delta');
+  assert.equal(merged.delta, -2);
+  assert.equal(merged.available, 8);
+  assert.equal(merged.events, 2);
+});
+
+test('a burst of mixed increments and decrements adds up to the net change', () => {
+  // 10 -> 7 -> 12 -> 11 -> 11 -> 4
+  const merged = coalesce([delta(-3, 7), delta(5, 12), delta(-1, 11), delta(0, 11), delta(-7, 4)]);
+  assert.equal(merged.delta, -6);
+  assert.equal(merged.available, 4);
+  assert.equal(merged.events, 5);
+});
+
+test('changes that cancel each other out give a zero delta', () => {
+  const merged = coalesce([delta(-2, 8), delta(2, 10)]);
+  assert.equal(merged.type, 'delta');
+  assert.equal(merged.delta, 0);
+});
+
+test('a full sync absorbs the deltas that follow it with the latest level', () => {
+  const merged = coalesce([full(10), delta(-1, 9), delta(-1, 8)]);
+  assert.equal(merged.type, 'full');
+  assert.equal(merged.available, 8);
+  assert.equal(merged.delta, undefined);
+  assert.equal(merged.events, 3);
+});
+
+test('a full sync received after deltas replaces them', () => {
+  const merged = coalesce([delta(-1, 9), delta(4, 13), full(20)]);
+  assert.equal(merged.type, 'full');
+  assert.equal(merged.available, 20);
+  assert.equal(merged.events, 3);
+});
+
+test('merging does not mutate the pending operation', () => {
+  const pending = { ...delta(-1, 9), events: 1 };
+  mergeSyncOperations(pending, delta(-1, 8));
+  assert.deepEqual(pending, { ...delta(-1, 9), events: 1 });
+});
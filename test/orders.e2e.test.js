@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const FakeShopify = require('./support/fakeShopify');
+const { E2eServer, addSyncedProduct, waitFor } = require('./support/e2eServer');
+
+/**
+ * End-to-end in orders mode (SYNC_MODE=orders): orders and restocking refunds
+ * of store 1 move the stock of store 2 by their exact quantities. Runs against
+ * a real Redis like sync.e2e.test.js, on its own database (TEST_ORDERS_REDIS_URL,
+ * default: database 14 of a local Redis) since both suites may run at once.
+ */
+const REDIS_URL = process.env.TEST_ORDERS_REDIS_URL || 'redis://127.0.0.1:6379/14';
+
+const fake = new FakeShopify();
+const server = new E2eServer(fake, { redisUrl: REDIS_URL });
+
+// Orders and refunds skipped as already applied, from the metrics
+async function alreadyApplied() {
+  const text = await (await server.request('GET', '/metrics')).text();
+  const line = text.split('\n').find(candidate =>
+    candidate.startsWith('ensovo_webhooks_skipped_total{') && candidate.includes('reason="already_applied"')
+  );
+  return line ? Number(line.split(' ').pop()) : 0;
+}
+
+function order(id, lines) {
+  return {
+    id,
+    line_items: lines.map(({ product, quantity }, index) => ({ id: id * 10 + index, ...product.lineItem, quantity }))
+  };
+}
+
+function refund(id, orderId, lines, restockType) {
+  return {
+    id,
+    order_id: orderId,
+    refund_line_items: lines.map(({ product, quantity }, index) => ({
+      id: id * 10 + index,
+      quantity,
+      restock_type: restockType,
+      location_id: fake.location('store1', 'Main').id,
+      line_item: { id: orderId * 10 + index, ...product.lineItem, quantity }
+    }))
+  };
+}
+
+const products = {};
+
+before(async () => {
+  fake.addStore('store1', { locations: ['Main'] });
+  fake.addStore('store2', { locations: ['Main'] });
+  products.sold = addSyncedProduct(fake, '4000000000001', { store1: { Main: 10 }, store2: { Main: 10 } });
+  products.retried = addSyncedProduct(fake, '4000000000002', { store1: { Main: 5 }, store2: { Main: 5 } });
+
+  await server.start({
+    SHOPIFY_API_MODE: 'rest',
+    SYNC_MODE: 'orders',
+    SYNC_RETRY_DELAY: '100'
+  });
+});
+
+after(() => server.stop());
+
+test('setup registers the order and refund webhooks instead of inventory levels', async (t) => {
+  if (server.skipReason) return t.skip(server.skipReason);
+
+  const topics = fake.store('store1').webhooks.map(webhook => webhook.topic).sort();
+  assert.deepEqual(topics, ['orders/cancelled', 'orders/create', 'products/create', 'products/delete', 'products/update', 'refunds/create']);
+});
+
+test('an order takes its quantities out of the other store, once', async (t) => {
+  if (server.skipReason) return t.skip(server.skipReason);
+  const { sold } = products;
+
+  // Shopify has already taken the order out of store 1 when the webhook arrives
+  fake.setLevel('store1', sold.store1, 'Main', 7);
+  const payload = order(501, [{ product: sold, quantity: 3 }]);
+  await fake.emitWebhook('store1', 'orders/create', payload);
+
+  await waitFor(() => fake.level('store2', sold.store2, 'Main') === 7);
+  const [adjust] = fake.writesTo('store2', sold.store2);
+  assert.equal(adjust.kind, 'adjust');
+  assert.equal(adjust.delta, -3);
+
+  // A second delivery of the same order is not applied again
+  const skipped = await alreadyApplied();
+  await fake.emitWebhook('store1', 'orders/create', payload);
+  await waitFor(async () => (await alreadyApplied()) === skipped + 1);
+  assert.equal(fake.writesTo('store2', sold.store2).length, 1);
+  assert.equal(fake.level('store2', sold.store2, 'Main'), 7);
+});
+
+test('a restocking cancellation puts the quantities back, and its refund is not applied twice', async (t) => {
+  if (server.skipReason) return t.skip(server.skipReason);
+  const { sold } = products;
+
+  fake.setLevel('store1', sold.store1, 'Main', 10);
+  const restock = refund(601, 501, [{ product: sold, quantity: 3 }], 'cancel');
+  await fake.emitWebhook('store1', 'orders/cancelled', { id: 501, refunds: [restock] });
+
+  await waitFor(() => fake.level('store2', sold.store2, 'Main') === 10);
+  assert.equal(fake.writesTo('store2', sold.store2).pop().delta, 3);
+
+  // The cancellation's refund also arrives as refunds/create
+  const skipped = await alreadyApplied();
+  await fake.emitWebhook('store1', 'refunds/create', restock);
+  await waitFor(async () => (await alreadyApplied()) === skipped + 1);
+  assert.equal(fake.writesTo('store2', sold.store2).length, 2);
+  assert.equal(fake.level('store2', sold.store2, 'Main'), 10);
+});
+
+test('a refund without restock leaves the stock alone', async (t) => {
+  if (server.skipReason) return t.skip(server.skipReason);
+  const { sold } = products;
+
+  const skipped = await alreadyApplied();
+  await fake.emitWebhook('store1', 'refunds/create', refund(602, 502, [{ product: sold, quantity: 1 }], 'no_restock'));
+  await fake.emitWebhook('store1', 'refunds/create', refund(602, 502, [{ product: sold, quantity: 1 }], 'no_restock'));
+
+  // The second delivery is skipped only once the first one is done
+  await waitFor(async () => (await alreadyApplied()) === skipped + 1);
+  assert.equal(fake.writesTo('store2', sold.store2).length, 2);
+});
+
+test('an order failing part-way is retried instead of being lost', async (t) => {
+  if (server.skipReason) return t.skip(server.skipReason);
+  const { retried } = products;
+
+  // Reading the level of store 1 fails: the order is applied on the next attempt
+  fake.setLevel('store1', retried.store1, 'Main', 4);
+  fake.fail('store1', 1);
+  await fake.emitWebhook('store1', 'orders/create', order(502, [{ product: retried, quantity: 1 }]));
+
+  await waitFor(() => fake.level('store2', retried.store2, 'Main') === 4);
+  assert.equal(fake.requestsTo('store1').filter(request => request.failed).length, 1);
+  assert.equal(fake.writesTo('store2', retried.store2).length, 1);
+});
@@ -0,0 +1,124 @@
+const assert = require('node:assert/strict');
+const { createClient } = require('redis');
+
+const ADMIN_KEY = 'e2e-operator-key-0123456789abcdef';
+
+/**
+ * index.js started for an end-to-end suite, against a FakeShopify and a real
+ * Redis whose database is flushed first. node --test runs every suite in its
+ * own process: each one starts the server once, with its own environment.
+ *
+ * When Redis is not reachable, start() returns false and skipReason says why;
+ * the tests of the suite skip themselves with it.
+ */
+class E2eServer {
+  constructor(fake, { redisUrl }) {
+    this.fake = fake;
+    this.redisUrl = redisUrl;
+    this.skipReason = null;
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * Start the server on the stores of the fake, one location pair "main" of
+   * their Main locations; env adds to or overrides that configuration.
+   */
+  async start(env = {}) {
+    if (!(await resetRedis(this.redisUrl))) {
+      this.skipReason = `Redis is not reachable at ${this.redisUrl}`;
+      return false;
+    }
+
+    await this.fake.start();
+    const storeNames = [...this.fake.stores.keys()];
+    const locations = Object.fromEntries(storeNames.map(storeName => [storeName, 'Main']));
+
+    Object.assign(process.env, ...storeNames.map(storeName => this.fake.env(storeName)), {
+      REDIS_URL: this.redisUrl,
+      SYNC_STORES: storeNames.join(','),
+      DRY_RUN: 'false',
+      LOCATION_PAIRS: JSON.stringify([{ name: 'main', locations }]),
+      ADMIN_API_KEYS: `e2e:${ADMIN_KEY}:operator`,
+      LOG_LEVEL: process.env.LOG_LEVEL || 'error'
+    }, env);
+
+    this.server = await require('../../index').start({ port: 0 });
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+
+    // Webhooks are registered the way operators do it
+    process.env.PUBLIC_BASE_URL = this.url;
+    await this.admin('POST', '/setup/webhooks');
+    return true;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await this.fake.settle();
+    await require('../../index').stop();
+    await new Promise(resolve => this.server.close(resolve));
+    await this.fake.stop();
+  }
+
+  // Admin request with the operator key, which must answer 200
+  async request(method, path) {
+    const response = await fetch(`${this.url}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${ADMIN_KEY}` }
+    });
+    assert.equal(response.status, 200, `${method} ${path} answered ${response.status}`);
+    return response;
+  }
+
+  async admin(method, path) {
+    return (await this.request(method, path)).json();
+  }
+}
+
+async function resetRedis(url) {
+  const client = createClient({ url, socket: { reconnectStrategy: false } });
+  client.on('error', () => {});
+  try {
+    await client.connect();
+    await client.flushDb();
+    await client.quit();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The same product in every store given, tagged for sync, with its levels by
+ * location. Returns its inventory item id per store, and in lineItem the ids
+ * an order line of store1 names it by.
+ */
+function addSyncedProduct(fake, barcode, levels) {
+  const items = {};
+  for (const [storeName, byLocation] of Object.entries(levels)) {
+    const product = fake.addProduct(storeName, {
+      title: `Product ${barcode}`,
+      tags: 'bio, sync-stock',
+      variants: [{ barcode, sku: `SKU-${barcode}`, levels: byLocation }]
+    });
+    items[storeName] = product.variants[0].inventory_item_id;
+    if (storeName === 'store1') {
+      items.lineItem = { product_id: product.id, variant_id: product.variants[0].id };
+    }
+  }
+  return items;
+}
+
+async function waitFor(check, { timeout = 10000, interval = 50 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the sync');
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+module.exports = { E2eServer, ADMIN_KEY, addSyncedProduct, waitFor };
@@ -0,0 +1,456 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * In-process fake of the Shopify Admin API, for end-to-end tests.
+ *
+ * One HTTP server plays every store: each one lives under its own path, to be
+ * set as SHOPIFY_<NAME>_API_URL (see apiUrl()). It serves locations, products
+ * with Link pagination, inventory_levels (get, adjust, set) and webhooks, and
+ * answers 429 or 503 on demand (throttle(), fail()). The inventory calls of
+ * GraphQL mode are served too: the InventoryLevels query and the
+ * inventoryAdjustQuantities / inventorySetQuantities mutations, with their
+ * compare-and-set quantities and idempotency keys. interfere() changes a
+ * level right before the next write, to make compare-and-set fail.
+ *
+ * Every inventory write, whichever the API, is listed in writes; the ones
+ * refused for a stale compare quantity in staleWrites.
+ *
+ * Like Shopify, every change to an inventory level is followed by a signed
+ * inventory_levels/update webhook to the addresses registered for that topic;
+ * a write leaving the level as it was sends none.
+ * Levels changed with setLevel() stay silent unless emitInventoryUpdate() is
+ * called, which is how a test plays a sale made in the shop. Order and refund
+ * webhooks are sent with emitWebhook().
+ */
+class FakeShopify {
+  constructor({ pageSize = 250 } = {}) {
+    this.pageSize = pageSize;
+    this.stores = new Map();
+    this.requests = [];
+    this.writes = [];
+    this.staleWrites = [];
+    this.deliveries = new Set();
+    this.nextId = 1000;
+    this.server = null;
+    this.url = null;
+  }
+
+  addStore(storeName, { accessToken = `token-${storeName}`, webhookSecret = `secret-${storeName}`, locations = [] } = {}) {
+    const store = {
+      name: storeName,
+      domain: `${storeName}.myshopify.test`,
+      accessToken,
+      webhookSecret,
+      locations: locations.map(name => ({ id: this.id(), name })),
+      products: [],
+      levels: new Map(),
+      webhooks: [],
+      throttled: 0,
+      failing: 0,
+      interferences: [],
+      idempotent: new Map()
+    };
+    this.stores.set(storeName, store);
+    return store;
+  }
+
+  /**
+   * Add a product; each variant may give its levels by location name:
+   *   { barcode: '123', sku: 'A', levels: { Main: 10 } }
+   */
+  addProduct(storeName, { title, tags = '', variants }) {
+    const store = this.store(storeName);
+    const product = {
+      id: this.id(),
+      title,
+      tags,
+      variants: variants.map(({ levels = {}, ...fields }) => {
+        const variant = { id: this.id(), inventory_item_id: this.id(), barcode: null, sku: null, ...fields };
+        for (const [locationName, available] of Object.entries(levels)) {
+          store.levels.set(this.levelKey(variant.inventory_item_id, this.location(storeName, locationName).id), available);
+        }
+        return variant;
+      })
+    };
+    store.products.push(product);
+    return product;
+  }
+
+  location(storeName, locationName) {
+    const location = this.store(storeName).locations.find(candidate => candidate.name === locationName);
+    if (!location) throw new Error(`No location "${locationName}" in ${storeName}`);
+    return location;
+  }
+
+  level(storeName, inventoryItemId, locationName) {
+    const value = this.store(storeName).levels.get(this.levelKey(inventoryItemId, this.location(storeName, locationName).id));
+    return value === undefined ? null : value;
+  }
+
+  // Change a level without any webhook, as if it happened before the test
+  setLevel(storeName, inventoryItemId, locationName, available) {
+    this.store(storeName).levels.set(this.levelKey(inventoryItemId, this.location(storeName, locationName).id), available);
+  }
+
+  // Answer 429 to the next count requests of a store
+  throttle(storeName, count) {
+    this.store(storeName).throttled = count;
+  }
+
+  // Answer 503 to the next count requests of a store
+  fail(storeName, count) {
+    this.store(storeName).failing = count;
+  }
+
+  // Set a level silently right before the next write to that item, as a sale
+  // landing between the read and the write of a compare-and-set would
+  interfere(storeName, inventoryItemId, locationName, available) {
+    this.store(storeName).interferences.push({
+      key: this.levelKey(inventoryItemId, this.location(storeName, locationName).id),
+      available
+    });
+  }
+
+  // Inventory writes applied to an item: { kind: 'adjust' | 'set', delta | available, api }
+  writesTo(storeName, inventoryItemId) {
+    return this.writes.filter(write => write.store === storeName && write.inventoryItemId === inventoryItemId);
+  }
+
+  // Requests received, optionally for one store, method and path ("/inventory_levels/adjust.json")
+  requestsTo(storeName, method = null, path = null) {
+    return this.requests.filter(request =>
+      request.store === storeName &&
+      (!method || request.method === method) &&
+      (!path || request.path === path)
+    );
+  }
+
+  apiUrl(storeName) {
+    return `${this.url}/${storeName}`;
+  }
+
+  env(storeName) {
+    const store = this.store(storeName);
+    const prefix = `SHOPIFY_${storeName.toUpperCase()}_`;
+    return {
+      [`${prefix}DOMAIN`]: store.domain,
+      [`${prefix}ACCESS_TOKEN`]: store.accessToken,
+      [`${prefix}WEBHOOK_SECRET`]: store.webhookSecret,
+      [`${prefix}API_URL`]: this.apiUrl(storeName)
+    };
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async stop() {
+    await this.settle();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  // Wait for the webhooks sent so far to be answered
+  async settle() {
+    while (this.deliveries.size > 0) {
+      await Promise.all([...this.deliveries]);
+    }
+  }
+
+  /**
+   * Send the current level of an item as a signed inventory_levels/update
+   * webhook to every address registered for it. Returns the HTTP statuses.
+   */
+  emitInventoryUpdate(storeName, inventoryItemId, locationName) {
+    const store = this.store(storeName);
+    const location = this.location(storeName, locationName);
+    return this.emit(store, 'inventory_levels/update', {
+      inventory_item_id: inventoryItemId,
+      location_id: location.id,
+      available: this.level(storeName, inventoryItemId, locationName),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  // Send any payload as a signed webhook of a topic, e.g. orders/create
+  emitWebhook(storeName, topic, payload) {
+    return this.emit(this.store(storeName), topic, payload);
+  }
+
+  emit(store, topic, payload) {
+    const body = JSON.stringify(payload);
+    const hmac = crypto.createHmac('sha256', store.webhookSecret).update(body).digest('base64');
+
+    const sends = store.webhooks
+      .filter(webhook => webhook.topic === topic)
+      .map(webhook => fetch(webhook.address, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shopify-Topic': topic,
+          'X-Shopify-Hmac-Sha256': hmac,
+          'X-Shopify-Shop-Domain': store.domain,
+          'X-Shopify-Webhook-Id': crypto.randomUUID()
+        },
+        body
+      }).then(response => response.status, () => null));
+
+    const delivery = Promise.all(sends);
+    this.deliveries.add(delivery);
+    delivery.finally(() => this.deliveries.delete(delivery));
+    return delivery;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const match = url.pathname.match(/^\/([^/]+)\/admin\/api\/[^/]+(\/.*)$/);
+    const store = match && this.stores.get(match[1]);
+    if (!store) {
+      return this.send(res, 404, { errors: 'Not Found' });
+    }
+
+    const path = match[2];
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      return this.send(res, 400, { errors: 'Invalid JSON' });
+    }
+    const request = { store: store.name, method: req.method, path, query: url.search, body, throttled: false, failed: false };
+    this.requests.push(request);
+
+    if (req.headers['x-shopify-access-token'] !== store.accessToken) {
+      return this.send(res, 401, { errors: '[API] Invalid API key or access token' });
+    }
+    if (store.throttled > 0) {
+      store.throttled--;
+      request.throttled = true;
+      if (path === '/graphql.json') {
+        // GraphQL is throttled by cost: a 200 carrying a THROTTLED error
+        return this.send(res, 200, {
+          errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }],
+          extensions: { cost: { requestedQueryCost: 10, throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 5, restoreRate: 1000 } } }
+        });
+      }
+      return this.send(res, 429, { errors: 'Exceeded 2 calls per second for api client.' }, { 'Retry-After': '0.1' });
+    }
+    if (store.failing > 0) {
+      store.failing--;
+      request.failed = true;
+      return this.send(res, 503, { errors: 'Service Unavailable' });
+    }
+
+    try {
+      const route = `${req.method} ${path.replace(/\/\d+\.json$/, '/:id.json')}`;
+      switch (route) {
+        case 'GET /locations.json':
+          return this.send(res, 200, { locations: store.locations });
+        case 'GET /products.json':
+          return this.listProducts(res, store, url);
+        case 'GET /inventory_levels.json':
+          return this.listLevels(res, store, url);
+        case 'POST /inventory_levels/adjust.json':
+          return this.writeLevel(res, store, body, { kind: 'adjust', delta: body.available_adjustment, api: 'rest' });
+        case 'POST /inventory_levels/set.json':
+          return this.writeLevel(res, store, body, { kind: 'set', available: body.available, api: 'rest' });
+        case 'POST /graphql.json':
+          return this.graphql(res, store, body);
+        case 'GET /webhooks.json':
+          return this.send(res, 200, { webhooks: store.webhooks });
+        case 'POST /webhooks.json': {
+          const webhook = { id: this.id(), topic: body.webhook.topic, address: body.webhook.address, format: 'json' };
+          store.webhooks.push(webhook);
+          return this.send(res, 201, { webhook });
+        }
+        case 'DELETE /webhooks/:id.json': {
+          const id = parseInt(path.match(/(\d+)\.json$/)[1]);
+          store.webhooks = store.webhooks.filter(webhook => webhook.id !== id);
+          return this.send(res, 200, {});
+        }
+        default:
+          return this.send(res, 404, { errors: 'Not Found' });
+      }
+    } catch (error) {
+      return this.send(res, 500, { errors: error.message });
+    }
+  }
+
+  // page_info is the offset of the page, opaque to the client as on Shopify
+  listProducts(res, store, url) {
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 50, this.pageSize);
+    const offset = parseInt(url.searchParams.get('page_info')) || 0;
+    const products = store.products.slice(offset, offset + limit);
+
+    const headers = {};
+    if (offset + limit < store.products.length) {
+      const next = new URL(url);
+      next.searchParams.set('page_info', String(offset + limit));
+      headers.Link = `<${next.href}>; rel="next"`;
+    }
+    return this.send(res, 200, { products }, headers);
+  }
+
+  listLevels(res, store, url) {
+    const items = (url.searchParams.get('inventory_item_ids') || '').split(',').filter(Boolean).map(Number);
+    const locations = (url.searchParams.get('location_ids') || '').split(',').filter(Boolean).map(Number);
+
+    const levels = [];
+    for (const inventoryItemId of items) {
+      for (const locationId of locations) {
+        const available = store.levels.get(this.levelKey(inventoryItemId, locationId));
+        if (available !== undefined) {
+          levels.push({ inventory_item_id: inventoryItemId, location_id: locationId, available });
+        }
+      }
+    }
+    return this.send(res, 200, { inventory_levels: levels });
+  }
+
+  writeLevel(res, store, body, write) {
+    if (!store.locations.some(location => location.id === body.location_id)) {
+      return this.send(res, 422, { errors: ['Location not found'] });
+    }
+
+    this.applyInterference(store, body.inventory_item_id, body.location_id);
+    const available = this.applyWrite(store, body.inventory_item_id, body.location_id, write);
+    this.send(res, 200, {
+      inventory_level: { inventory_item_id: body.inventory_item_id, location_id: body.location_id, available }
+    });
+  }
+
+  // The operation is told apart by the field it queries, as the client names none
+  graphql(res, store, { query, variables }) {
+    if (query.includes('inventoryAdjustQuantities')) {
+      return this.graphqlWrite(res, store, 'inventoryAdjustQuantities', variables, variables.input.changes, change => ({
+        kind: 'adjust', delta: change.delta, compare: change.changeFromQuantity, code: 'CHANGE_FROM_QUANTITY_STALE'
+      }));
+    }
+    if (query.includes('inventorySetQuantities')) {
+      const { ignoreCompareQuantity } = variables.input;
+      return this.graphqlWrite(res, store, 'inventorySetQuantities', variables, variables.input.quantities, quantity => ({
+        kind: 'set', available: quantity.quantity, compare: ignoreCompareQuantity ? undefined : quantity.compareQuantity, code: 'COMPARE_QUANTITY_STALE'
+      }));
+    }
+    if (query.includes('nodes(ids:')) {
+      const locationId = gidId(variables.locationId);
+      const nodes = variables.ids.map(gid => {
+        const available = store.levels.get(this.levelKey(gidId(gid), locationId));
+        return {
+          legacyResourceId: String(gidId(gid)),
+          inventoryLevel: available === undefined ? null : { quantities: [{ name: 'available', quantity: available }] }
+        };
+      });
+      return this.send(res, 200, { data: { nodes } });
+    }
+    return this.send(res, 200, { errors: [{ message: 'Unsupported query' }] });
+  }
+
+  // One mutation: every quantity is checked against its compare quantity before any is written
+  graphqlWrite(res, store, mutation, variables, items, describe) {
+    const respond = payload => this.send(res, 200, { data: { [mutation]: payload } });
+
+    const previous = store.idempotent.get(variables.idempotencyKey);
+    if (previous) return respond(previous);
+
+    const writes = items.map(item => ({
+      inventoryItemId: gidId(item.inventoryItemId),
+      locationId: gidId(item.locationId),
+      ...describe(item)
+    }));
+    for (const { inventoryItemId, locationId } of writes) {
+      this.applyInterference(store, inventoryItemId, locationId);
+    }
+
+    const stale = writes.find(({ inventoryItemId, locationId, compare }) =>
+      compare !== undefined && compare !== null && compare !== (store.levels.get(this.levelKey(inventoryItemId, locationId)) || 0)
+    );
+    if (stale) {
+      this.staleWrites.push({ store: store.name, inventoryItemId: stale.inventoryItemId, locationId: stale.locationId, kind: stale.kind, compare: stale.compare });
+      // Not kept for the idempotency key: Shopify only remembers what it applied
+      return respond({
+        inventoryAdjustmentGroup: null,
+        userErrors: [{ field: ['input'], message: 'The quantity has changed since it was read', code: stale.code }]
+      });
+    }
+
+    const changes = writes.map(({ inventoryItemId, locationId, kind, delta, available }) => {
+      const before = store.levels.get(this.levelKey(inventoryItemId, locationId)) || 0;
+      const after = this.applyWrite(store, inventoryItemId, locationId, { kind, delta, available, api: 'graphql' });
+      return { name: 'available', delta: after - before, quantityAfterChange: after };
+    }).filter(change => change.delta !== 0);
+    // Nothing changed, no adjustment group
+    const payload = { inventoryAdjustmentGroup: changes.length > 0 ? { changes } : null, userErrors: [] };
+    store.idempotent.set(variables.idempotencyKey, payload);
+    respond(payload);
+  }
+
+  applyInterference(store, inventoryItemId, locationId) {
+    const key = this.levelKey(inventoryItemId, locationId);
+    const index = store.interferences.findIndex(interference => interference.key === key);
+    if (index !== -1) {
+      store.levels.set(key, store.interferences.splice(index, 1)[0].available);
+    }
+  }
+
+  applyWrite(store, inventoryItemId, locationId, write) {
+    const key = this.levelKey(inventoryItemId, locationId);
+    const before = store.levels.get(key) || 0;
+    const available = write.kind === 'adjust' ? before + write.delta : write.available;
+    store.levels.set(key, available);
+    this.writes.push({ store: store.name, inventoryItemId, locationId, ...write });
+
+    // Shopify notifies every change, ours included
+    if (available !== before) {
+      const location = store.locations.find(candidate => candidate.id === locationId);
+      this.emitInventoryUpdate(store.name, inventoryItemId, location.name);
+    }
+    return available;
+  }
+
+  send(res, status, payload, headers = {}) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'X-Shopify-Shop-Api-Call-Limit': '1/40',
+      ...headers
+    });
+    res.end(JSON.stringify(payload));
+  }
+
+  store(storeName) {
+    const store = this.stores.get(storeName);
+    if (!store) throw new Error(`Unknown fake store "${storeName}"`);
+    return store;
+  }
+
+  levelKey(inventoryItemId, locationId) {
+    return `${inventoryItemId}:${locationId}`;
+  }
+
+  id() {
+    return this.nextId++;
+  }
+}
+
+// 1234 from gid://shopify/InventoryItem/1234
+function gidId(gid) {
+  return parseInt(String(gid).split('/').pop());
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : null);
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = FakeShopify;